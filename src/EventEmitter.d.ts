@@ -0,0 +1,390 @@
+/*!
+ * Type definitions for the ES2015 version of EventEmitter.
+ *
+ * Pass an event map to get typed listeners and emits, keyed by event name:
+ *
+ *     const ee = new EventEmitter<{ change: [string, number] }>();
+ *     ee.on('change', (key, value) => {});
+ *     ee.emit('change', 'size', 42);
+ *
+ * Without an event map any event name and any arguments are accepted.
+ */
+
+export = EventEmitter;
+export as namespace EventEmitter;
+
+declare global {
+    interface SymbolConstructor {
+        /** Interop key of the Observable protocol, the same declaration as RxJS and symbol-observable. */
+        readonly observable: symbol;
+    }
+}
+
+declare class EventEmitter<Events extends EventEmitter.EventMap = EventEmitter.DefaultEventMap> {
+    constructor();
+
+    static defaultMaxListeners: number;
+    static warningHandler: (this: EventEmitter<any>, warning: Error) => void;
+    static noConflict(): typeof EventEmitter;
+
+    getListeners<K extends EventEmitter.EventKey<Events>>(evt: K): EventEmitter.ListenerMap[];
+    getListeners(evt: RegExp): Map<string, EventEmitter.ListenerMap[]>;
+    getListenersAsObject(evt: EventEmitter.EventKey<Events> | RegExp): Map<string, EventEmitter.ListenerMap[]>;
+    indexOfListener(listeners: EventEmitter.ListenerMap[], listener: Function, context?: any): number;
+    flattenListeners(listeners: EventEmitter.ListenerMap[]): Function[];
+
+    addListener<K extends EventEmitter.EventKey<Events>, C>(evt: K, listener: EventEmitter.Listener<C, EventEmitter.EventArgs<Events, K>>, options: EventEmitter.ListenerOptions & { context: C }): this;
+    addListener<K extends EventEmitter.EventKey<Events>>(evt: K, listener: EventEmitter.Listener<this, EventEmitter.EventArgs<Events, K>>, options?: EventEmitter.ListenerOptions): this;
+    addListener(evt: RegExp, listener: EventEmitter.Listener<this, any[]>, options?: EventEmitter.ListenerOptions): this;
+    on<K extends EventEmitter.EventKey<Events>, C>(evt: K, listener: EventEmitter.Listener<C, EventEmitter.EventArgs<Events, K>>, options: EventEmitter.ListenerOptions & { context: C }): this;
+    on<K extends EventEmitter.EventKey<Events>>(evt: K, listener: EventEmitter.Listener<this, EventEmitter.EventArgs<Events, K>>, options?: EventEmitter.ListenerOptions): this;
+    on(evt: RegExp, listener: EventEmitter.Listener<this, any[]>, options?: EventEmitter.ListenerOptions): this;
+    addOnceListener<K extends EventEmitter.EventKey<Events>, C>(evt: K, listener: EventEmitter.Listener<C, EventEmitter.EventArgs<Events, K>>, options: EventEmitter.ListenerOptions & { context: C }): this;
+    addOnceListener<K extends EventEmitter.EventKey<Events>>(evt: K, listener: EventEmitter.Listener<this, EventEmitter.EventArgs<Events, K>>, options?: EventEmitter.ListenerOptions): this;
+    addOnceListener(evt: RegExp, listener: EventEmitter.Listener<this, any[]>, options?: EventEmitter.ListenerOptions): this;
+    prependListener<K extends EventEmitter.EventKey<Events>>(evt: K, listener: EventEmitter.Listener<this, EventEmitter.EventArgs<Events, K>>, options?: EventEmitter.ListenerOptions): this;
+    prependOnceListener<K extends EventEmitter.EventKey<Events>>(evt: K, listener: EventEmitter.Listener<this, EventEmitter.EventArgs<Events, K>>, options?: EventEmitter.ListenerOptions): this;
+    subscribe<K extends EventEmitter.EventKey<Events>, C>(evt: K, listener: EventEmitter.Listener<C, EventEmitter.EventArgs<Events, K>>, options: EventEmitter.ListenerOptions & { context: C }): EventEmitter.Subscription;
+    subscribe<K extends EventEmitter.EventKey<Events>>(evt: K, listener: EventEmitter.Listener<this, EventEmitter.EventArgs<Events, K>>, options?: EventEmitter.ListenerOptions): EventEmitter.Subscription;
+    subscribe(evt: RegExp, listener: EventEmitter.Listener<this, any[]>, options?: EventEmitter.ListenerOptions): EventEmitter.Subscription;
+
+    once<K extends EventEmitter.EventKey<Events>>(evt: K, listener: EventEmitter.Listener<this, EventEmitter.EventArgs<Events, K>>, options?: EventEmitter.ListenerOptions): this;
+    once<K extends EventEmitter.EventKey<Events>>(evt: K, options?: EventEmitter.WaitOptions): Promise<EventEmitter.EventArgs<Events, K>>;
+    events<K extends EventEmitter.EventKey<Events>>(evt: K, options?: EventEmitter.IteratorOptions): EventEmitter.EventIterator<EventEmitter.EventArgs<Events, K>>;
+    setParent(parent: EventEmitter<any> | null): this;
+    getParent(): EventEmitter<any> | null;
+    getChildren(): EventEmitter<any>[];
+    createChild(): this;
+    removeChild(child: EventEmitter<any>): this;
+
+    stream<K extends EventEmitter.EventKey<Events>>(evt: K): EventEmitter.EventStream<EventEmitter.EventArgs<Events, K>>;
+    stream(evt: RegExp): EventEmitter.EventStream<any[]>;
+    pipe(emitter: EventEmitter<any>, events: EventEmitter.EventKey<Events> | EventEmitter.EventKey<Events>[]): EventEmitter.CompositeSubscription;
+
+    removeListener<K extends EventEmitter.EventKey<Events>>(evt: K | RegExp, listener: Function, context?: any): this;
+    off<K extends EventEmitter.EventKey<Events>>(evt: K | RegExp, listener: Function, context?: any): this;
+    removeListenersByContext(context: any): this;
+    addListeners(evt: EventEmitter.EventKey<Events> | RegExp, listeners: Function[], options?: EventEmitter.ListenerOptions): this;
+    addListeners(evt: Map<EventEmitter.EventKey<Events>, Function | Function[]>, options?: EventEmitter.ListenerOptions): this;
+    removeListeners(evt: EventEmitter.EventKey<Events> | RegExp, listeners: Function[], options?: { context?: any }): this;
+    removeListeners(evt: Map<EventEmitter.EventKey<Events>, Function | Function[]>, options?: { context?: any }): this;
+    manipulateListeners(remove: boolean, evt: EventEmitter.EventKey<Events> | RegExp | Map<EventEmitter.EventKey<Events>, Function | Function[]>, listeners?: Function[], options?: EventEmitter.ListenerOptions): this;
+    removeEvent(evt?: EventEmitter.EventKey<Events> | RegExp | null): this;
+    removeAllListeners(evt?: EventEmitter.EventKey<Events> | RegExp | null): this;
+
+    defineEvent<K extends EventEmitter.EventKey<Events>>(evt: K, options?: EventEmitter.DefineEventOptions<EventEmitter.EventArgs<Events, K>>): this;
+    getHistory<K extends EventEmitter.EventKey<Events>>(evt: K): EventEmitter.EventArgs<Events, K>[];
+    clearHistory(evt?: EventEmitter.EventKey<Events>): this;
+    defineEvents(evts: EventEmitter.EventKey<Events>[] | Map<EventEmitter.EventKey<Events>, EventEmitter.DefineEventOptions>): this;
+
+    /** Returns a boolean instead of the instance when the event object mode is enabled. */
+    emit<K extends EventEmitter.EventKey<Events>>(evt: K, ...args: EventEmitter.EventArgs<Events, K>): this | boolean;
+    emit(evt: RegExp, ...args: any[]): this | boolean;
+    emitEvent<K extends EventEmitter.EventKey<Events>>(evt: K, args?: EventEmitter.EventArgs<Events, K>): this | boolean;
+    emitEvent(evt: RegExp, args?: any[]): this | boolean;
+    trigger<K extends EventEmitter.EventKey<Events>>(evt: K, args?: EventEmitter.EventArgs<Events, K>): this | boolean;
+    trigger(evt: RegExp, args?: any[]): this | boolean;
+    batch(fn: (this: this, emitter: this) => void, options?: EventEmitter.BatchOptions): this;
+    isBatching(): boolean;
+    emitAsync<K extends EventEmitter.EventKey<Events>>(evt: K, ...args: EventEmitter.EventArgs<Events, K>): Promise<any[]>;
+    emitAsync(evt: RegExp, ...args: any[]): Promise<any[]>;
+    emitEventAsync<K extends EventEmitter.EventKey<Events>>(evt: K, args?: EventEmitter.EventArgs<Events, K>, options?: EventEmitter.AsyncEmitOptions): Promise<any[]>;
+    emitEventAsync(evt: RegExp, args?: any[], options?: EventEmitter.AsyncEmitOptions): Promise<any[]>;
+    emitDeferred<K extends EventEmitter.EventKey<Events>>(evt: K, ...args: EventEmitter.EventArgs<Events, K>): this;
+    emitDeferred(evt: RegExp, ...args: any[]): this;
+    emitEventDeferred<K extends EventEmitter.EventKey<Events>>(evt: K, args?: EventEmitter.EventArgs<Events, K>, options?: EventEmitter.DeferredEmitOptions): this;
+    emitEventDeferred(evt: RegExp, args?: any[], options?: EventEmitter.DeferredEmitOptions): this;
+
+    use(middleware: EventEmitter.Middleware<this>): this;
+    removeMiddleware(middleware: EventEmitter.Middleware<any>): this;
+
+    handle<K extends EventEmitter.EventKey<Events>>(evt: K, handler: EventEmitter.Listener<this, EventEmitter.EventArgs<Events, K>>): this;
+    removeHandler(evt: EventEmitter.EventKey<Events>): this;
+    request<K extends EventEmitter.EventKey<Events>>(evt: K, ...args: EventEmitter.EventArgs<Events, K>): any;
+    requestEvent<K extends EventEmitter.EventKey<Events>, R = any>(evt: K | RegExp, args?: EventEmitter.EventArgs<Events, K>, options?: EventEmitter.RequestOptions<R>): R;
+    requestAsync<K extends EventEmitter.EventKey<Events>>(evt: K, ...args: EventEmitter.EventArgs<Events, K>): Promise<any>;
+    requestEventAsync<K extends EventEmitter.EventKey<Events>, R = any>(evt: K | RegExp, args?: EventEmitter.EventArgs<Events, K>, options?: EventEmitter.AsyncRequestOptions<R>): Promise<R>;
+
+    listenerCount(evt: EventEmitter.EventKey<Events>, listener?: Function): number;
+    eventNames(): EventEmitter.EventKey<Events>[];
+    hasListeners(evt?: EventEmitter.EventKey<Events> | RegExp): boolean;
+    describe(evt?: EventEmitter.EventKey<Events> | RegExp): Map<EventEmitter.EventKey<Events>, EventEmitter.ListenerDescription[]>;
+    setCaptureStackTraces(enabled: boolean): this;
+
+    setTraceBufferSize(size: number): this;
+    getTrace(): EventEmitter.TraceRecord[];
+    clearTrace(): this;
+    addTracer(tracer: EventEmitter.Tracer | ((record: EventEmitter.TraceRecord) => void)): this;
+    removeTracer(tracer: EventEmitter.Tracer | ((record: EventEmitter.TraceRecord) => void)): this;
+
+    setOnceReturnValue(value: any): this;
+    setErrorPolicy(policy: EventEmitter.ErrorPolicy): this;
+    setScheduler(scheduler: EventEmitter.Scheduler): this;
+    setEmitGuard(options?: EventEmitter.EmitGuardOptions): this;
+    setEventObjectMode(enabled: boolean): this;
+    setWildcardDelimiter(delimiter: string | null): this;
+    setValidationPolicy(policy: EventEmitter.ValidationPolicy): this;
+    setMaxListeners(n: number): this;
+    getMaxListeners(): number;
+    setWarningHandler(handler: (this: this, warning: Error) => void): this;
+}
+
+declare namespace EventEmitter {
+    /** Anything can identify an event: strings, symbols for collision free private events, numbers or object tokens. */
+    type EventName = string | symbol | number | object;
+
+    /** Maps every event name to the tuple of arguments it is emitted with. */
+    type EventMap = { [evt: string | symbol]: any[] };
+
+    interface DefaultEventMap {
+        [evt: string]: any[];
+        [evt: symbol]: any[];
+    }
+
+    type EventKey<Events extends EventMap> = string extends keyof Events ? EventName : Extract<keyof Events, string | symbol | number>;
+
+    type EventArgs<Events extends EventMap, K> = K extends keyof Events ? Events[K] : any[];
+
+    type Listener<This, Args extends any[]> = (this: This, ...args: Args) => any;
+
+    type ListenerMap = Map<string, any>;
+
+    type ErrorPolicy = 'rethrow' | 'collect' | 'emit';
+
+    type ValidationPolicy = 'throw' | 'warn';
+
+    type PayloadType = 'string' | 'number' | 'boolean' | 'bigint' | 'symbol' | 'undefined' | 'object' | 'function' | 'null' | 'array' | '*' | Function;
+
+    type PayloadValidator<Args extends any[] = any[]> = (...args: Args) => boolean | string | void;
+
+    interface PayloadContract<Args extends any[] = any[]> {
+        arity?: number;
+        types?: PayloadType[];
+        validate?: PayloadValidator<Args>;
+    }
+
+    interface DefineEventOptions<Args extends any[] = any[]> {
+        payload?: PayloadValidator<Args> | PayloadType[] | PayloadContract<Args>;
+        replay?: number;
+        sticky?: boolean;
+        coalesce?: 'last' | ((previous: Args, args: Args) => Args) | false | null;
+    }
+
+    interface BatchOptions {
+        discardOnError?: boolean;
+    }
+
+    /** When deferred emits run: a built in scheduler, a function scheduling the callback or an object like ManualScheduler. */
+    type Scheduler = 'microtask' | 'timeout' | 'animationFrame' | ((callback: () => void) => void) | { schedule(callback: () => void): void };
+
+    interface DeferredEmitOptions {
+        scheduler?: Scheduler;
+        signal?: AbortSignal;
+    }
+
+    class ManualScheduler {
+        readonly pending: number;
+        schedule(callback: () => void): void;
+        runNext(): boolean;
+        flush(limit?: number): number;
+        clear(): void;
+    }
+
+    interface MiddlewareContext {
+        event: EventName | RegExp;
+        args: any[];
+        readonly async: boolean;
+    }
+
+    /** `next` returns what emitEvent would for synchronous emits and a promise of the listener results for asynchronous ones. */
+    type Middleware<This = EventEmitter<any>> = (this: This, context: MiddlewareContext, next: () => any) => any;
+
+    interface ListenerOptions {
+        priority?: number;
+        prepend?: boolean;
+        signal?: AbortSignal;
+        debounce?: number;
+        throttle?: number;
+        leading?: boolean;
+        trailing?: boolean;
+        maxCalls?: number;
+        capture?: boolean;
+        context?: any;
+    }
+
+    interface ListenerDescription {
+        listener: Function;
+        name: string;
+        once: boolean;
+        priority: number;
+        capture: boolean;
+        context: any;
+        calls: number;
+        stack?: string;
+        debounce?: number;
+        throttle?: number;
+        maxCalls?: number;
+    }
+
+    interface ListenerTraceRecord {
+        event: EventName;
+        type: EventName;
+        name: string;
+        emitter: EventEmitter<any>;
+        startTime: number;
+        duration: number | null;
+        error: any;
+    }
+
+    interface TraceRecord {
+        event: EventName | RegExp;
+        regex: boolean;
+        async: boolean;
+        args: any[];
+        listeners: ListenerTraceRecord[];
+        startTime: number;
+        duration: number | null;
+        error: any;
+    }
+
+    interface Tracer {
+        start?(record: TraceRecord): void;
+        end?(record: TraceRecord): void;
+    }
+
+    interface AsyncEmitOptions {
+        parallel?: boolean;
+    }
+
+    interface WaitOptions {
+        timeout?: number;
+        signal?: AbortSignal;
+    }
+
+    interface RequestOptions<R = any> {
+        reduce?: (result: R, response: any) => R;
+        initial?: R;
+    }
+
+    interface AsyncRequestOptions<R = any> extends RequestOptions<R>, WaitOptions {}
+
+    interface IteratorOptions {
+        bufferSize?: number;
+        overflow?: 'drop-oldest' | 'drop-newest' | 'error';
+        signal?: AbortSignal;
+    }
+
+    class EmitterEvent<Args extends any[] = any[]> {
+        constructor(type: EventName | RegExp, args: Args, target: EventEmitter<any>);
+        type: EventName | RegExp;
+        args: Args;
+        target: EventEmitter<any>;
+        currentTarget: EventEmitter<any>;
+        defaultPrevented: boolean;
+        propagationStopped: boolean;
+        immediatePropagationStopped: boolean;
+        preventDefault(): void;
+        stopPropagation(): void;
+        stopImmediatePropagation(): void;
+    }
+
+    class EmitError extends Error {
+        constructor(message: string, errors: any[]);
+        errors: any[];
+    }
+
+    class PayloadError extends TypeError {
+        constructor(message: string, event: EventName | RegExp, args: any[]);
+        event: EventName | RegExp;
+        args: any[];
+    }
+
+    class ReentrancyError extends Error {
+        constructor(message: string, chain: (EventName | RegExp)[]);
+        chain: (EventName | RegExp)[];
+    }
+
+    interface EmitGuardOptions {
+        maxDepth?: number;
+        cycles?: boolean;
+        queue?: boolean;
+    }
+
+    interface Unsubscribable {
+        unsubscribe(): void;
+    }
+
+    class Subscription implements Unsubscribable {
+        constructor(emitter: EventEmitter<any>, evt: EventName | RegExp, listener: Function, context?: any);
+        readonly isActive: boolean;
+        unsubscribe(): void;
+    }
+
+    class CompositeSubscription implements Unsubscribable {
+        constructor(...subscriptions: Unsubscribable[]);
+        readonly isActive: boolean;
+        add(...subscriptions: Unsubscribable[]): this;
+        remove(subscription: Unsubscribable): this;
+        unsubscribe(): void;
+    }
+
+    class EventIterator<Args extends any[] = any[]> {
+        constructor(emitter: EventEmitter<any>, evt: EventName | RegExp, options?: IteratorOptions);
+        next(): Promise<IteratorResult<Args, undefined>>;
+        return(): Promise<IteratorResult<Args, undefined>>;
+        [Symbol.asyncIterator](): this;
+    }
+
+    interface BridgePort {
+        postMessage(message: any): void;
+        addEventListener?(type: 'message', listener: (event: { data: any }) => void): void;
+        removeEventListener?(type: 'message', listener: (event: { data: any }) => void): void;
+        start?(): void;
+        on?(type: 'message', listener: (data: any) => void): any;
+        off?(type: 'message', listener: (data: any) => void): any;
+    }
+
+    interface BridgeOptions {
+        events?: string[];
+        accept?: string[] | RegExp | ((evt: string) => boolean);
+        channel?: string;
+    }
+
+    class EventBridge {
+        constructor(emitter: EventEmitter<any>, port: BridgePort, options?: BridgeOptions);
+        forward(evt: string): this;
+        request(evt: string, args?: any[], options?: { timeout?: number }): Promise<any>;
+        close(): void;
+    }
+
+    interface Observer<T> {
+        next?(value: T): void;
+        error?(reason: any): void;
+        complete?(): void;
+    }
+
+    interface StreamSubscription extends Unsubscribable {
+        readonly closed: boolean;
+    }
+
+    class EventStream<Args extends any[] = any[]> {
+        constructor(subscriber: (observer: Required<Observer<Args>>) => (() => void) | void);
+        subscribe(next: (value: Args) => void, error?: (reason: any) => void, complete?: () => void): StreamSubscription;
+        subscribe(observer?: Observer<Args>): StreamSubscription;
+        filter(predicate: (...args: Args) => boolean): EventStream<Args>;
+        map<R>(project: (...args: Args) => R): EventStream<[R]>;
+        debounce(wait: number): EventStream<Args>;
+        merge<Other extends any[]>(...streams: EventStream<Other>[]): EventStream<Args | Other>;
+        to(emitter: EventEmitter<any>, evt: string): StreamSubscription;
+        [Symbol.observable](): this;
+    }
+
+    class NodeEventEmitter<Events extends EventMap = DefaultEventMap> extends EventEmitter<Events> {
+        static once(emitter: EventEmitter<any> | EventTarget, evt: EventName, options?: WaitOptions): Promise<any[]>;
+        static listenerCount(emitter: EventEmitter<any>, evt: EventName): number;
+        emit<K extends EventKey<Events>>(evt: K, ...args: EventArgs<Events, K>): boolean;
+        emit(evt: RegExp, ...args: any[]): boolean;
+        listeners(evt: EventKey<Events>): Function[];
+        rawListeners(evt: EventKey<Events>): Function[];
+    }
+}
@@ -13,361 +13,3854 @@
 ;(function () {
     'use strict';
 
+    var exports = this;
+    var originalGlobalValue = exports.EventEmitter;
+    var errorPolicies = ['rethrow', 'collect', 'emit'];
+    var overflowStrategies = ['drop-oldest', 'drop-newest', 'error'];
+    var validationPolicies = ['throw', 'warn'];
+    var schedulers = ['microtask', 'timeout', 'animationFrame'];
+    // Interop point of the Observable proposal, RxJS falls back to the same string
+    var observableKey = typeof Symbol === 'function' && Symbol.observable || '@@observable';
+    // Prefix of the ids of bridged messages created in this context, unique across windows and workers
+    var contextId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    var messageCount = 0;
+    var maxSeenMessages = 1000;
+    // Bridged message currently being emitted, so forwarding bridges pass its id on instead of creating a new message
+    var bridgedMessage = null;
+    // Ids of the bridged messages every emitter has already seen, so messages arriving over several routes are emitted once
+    var seenMessages = new WeakMap();
+    // Forwarding listener per emitter and event shared by all bridges forwarding it, so one emit becomes one message
+    var bridgeForwarders = new WeakMap();
+    // Synchronous emits currently dispatching, outermost first, so emit guards can measure depth and name event cycles across emitters
+    var activeEmits = [];
+    var defaultEmitGuard = { maxDepth: Infinity, cycles: false, queue: false };
+
     /**
-     * Class for managing events.
-     * Can be extended to provide event functionality in other classes.
+     * Creates the error a promise based wait rejects with when its signal aborts.
      *
-     * @class EventEmitter Manages event registering and emitting.
+     * @param {AbortSignal} signal The aborted signal.
+     * @return {Error} The abort reason or a generic AbortError.
      */
-    var exports = this;
-    var originalGlobalValue = exports.EventEmitter;
+    function abortError(signal) {
+        if (signal.reason !== undefined) {
+            return signal.reason;
+        }
+        let error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        return error;
+    }
 
-    class EventEmitter {
+    /**
+     * Creates an error class inheriting from a built in error.
+     * Transpiled `class extends Error` loses its prototype, the instances would fail `instanceof` in the es5 build, so the prototype is set by hand.
+     *
+     * @param {String} name Name of the class and of its errors.
+     * @param {Function} Base Built in error to inherit from.
+     * @param {Function} init Method setting up a new error, called with it as `this` and the constructor arguments after the message.
+     * @return {Function} The error class, callable with or without `new`.
+     */
+    function createErrorClass(name, Base, init) {
+        function CustomError(message, ...args) {
+            let error = new Base(message);
+            Object.setPrototypeOf(error, CustomError.prototype);
+            init.apply(error, args);
+            return error;
+        }
+
+        CustomError.prototype = Object.create(Base.prototype, {
+            constructor: { value: CustomError, writable: true, configurable: true },
+            name: { value: name, writable: true, configurable: true }
+        });
+        Object.defineProperty(CustomError, 'name', { value: name, configurable: true });
+        return CustomError;
+    }
+
+    /**
+     * Creates the error thrown when an `error` event is emitted without anything listening to it.
+     *
+     * @param {*} error First argument of the emit.
+     * @return {Error} The emitted error itself if it is one, a wrapping error otherwise.
+     */
+    function unhandledError(error) {
+        if (error instanceof Error) {
+            return error;
+        }
+        let wrapper = new Error(`Unhandled error. (${error})`);
+        wrapper.code = 'ERR_UNHANDLED_ERROR';
+        wrapper.context = error;
+        return wrapper;
+    }
+
+    /**
+     * Throws like node does when something other than a function is passed as a listener.
+     *
+     * @param {*} listener The value to check.
+     */
+    function checkListener(listener) {
+        if (typeof listener !== 'function') {
+            let error = new TypeError(`The "listener" argument must be of type Function. Received type ${typeof listener}`);
+            error.code = 'ERR_INVALID_ARG_TYPE';
+            throw error;
+        }
+    }
+
+    /**
+     * Picks the error out of the arguments of an `error` event, skipping the event object if there is one.
+     *
+     * @param {Array} args Arguments the error listener was called with.
+     * @return {*} The emitted error.
+     */
+    function errorFromArgs(args) {
+        return args[0] instanceof EmitterEvent ? args[1] : args[0];
+    }
+
+    /**
+     * Describes an emitted argument for a trace record without keeping a reference to it.
+     *
+     * @param {*} value The argument.
+     * @return {*} Primitives as they are, long strings shortened and a short description of anything else.
+     */
+    function summarize(value) {
+        if (typeof value === 'string') {
+            return value.length > 50 ? `${value.slice(0, 50)}...` : value;
+        }
+        if (typeof value === 'symbol') {
+            return String(value);
+        }
+        if (typeof value === 'function') {
+            return `[Function ${value.name || 'anonymous'}]`;
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return `[Array(${value.length})]`;
+        }
+        if (value instanceof Error) {
+            return `[${value.name}: ${value.message}]`;
+        }
+        return `[${value.constructor && value.constructor.name || 'Object'}]`;
+    }
+
+    /**
+     * Reads a high resolution clock for traces, falling back to Date.now.
+     *
+     * @return {Number} Time in milliseconds.
+     */
+    function now() {
+        return typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now();
+    }
+
+    /**
+     * Copies a value into something the structured clone algorithm accepts.
+     * Functions and symbols are dropped, errors become plain objects and circular references are preserved.
+     *
+     * @param {*} value Value to copy.
+     * @param {Map} [seen] Copies made so far, keyed by the original.
+     * @return {*} The cloneable copy.
+     */
+    function toCloneable(value, seen = new Map()) {
+        if (typeof value === 'function' || typeof value === 'symbol') {
+            return undefined;
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (value instanceof Date || value instanceof RegExp || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+            return value;
+        }
+        if (seen.has(value)) {
+            return seen.get(value);
+        }
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message, stack: value.stack };
+        }
+
+        let copy;
+        if (Array.isArray(value)) {
+            copy = [];
+            seen.set(value, copy);
+            value.forEach((item, index) => copy[index] = toCloneable(item, seen));
+        } else if (value instanceof Map) {
+            copy = new Map();
+            seen.set(value, copy);
+            value.forEach((item, key) => copy.set(toCloneable(key, seen), toCloneable(item, seen)));
+        } else if (value instanceof Set) {
+            copy = new Set();
+            seen.set(value, copy);
+            value.forEach(item => copy.add(toCloneable(item, seen)));
+        } else {
+            copy = {};
+            seen.set(value, copy);
+            Object.keys(value).forEach(key => {
+                let item = toCloneable(value[key], seen);
+                if (item !== undefined) {
+                    copy[key] = item;
+                }
+            });
+        }
+        return copy;
+    }
+
+    /**
+     * Records a bridged message as seen by an emitter, forgetting the oldest ids once there are too many.
+     *
+     * @param {EventEmitter} emitter The emitter.
+     * @param {String} id Id of the message.
+     * @return {Boolean} False if the emitter had already seen the message.
+     */
+    function markSeen(emitter, id) {
+        let seen = seenMessages.get(emitter);
+        if (!seen) {
+            seen = new Set();
+            seenMessages.set(emitter, seen);
+        }
+        if (seen.has(id)) {
+            return false;
+        }
+        seen.add(id);
+        if (seen.size > maxSeenMessages) {
+            seen.delete(seen.values().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * Tests an event key against a regular expression. Only string keys can match, symbols and object tokens never do.
+     *
+     * @param {RegExp} regex The regular expression.
+     * @param {*} key The event key.
+     * @return {Boolean} True if the key matches.
+     */
+    function matchesKey(regex, key) {
+        return typeof key === 'string' && regex.test(key);
+    }
+
+    /**
+     * Checks an event name against the event selection of a bridge.
+     *
+     * @param {String[]|RegExp|Function} selection Names, a pattern or a predicate.
+     * @param {String} evt Event name to check.
+     * @return {Boolean} True if the event is selected.
+     */
+    function isSelected(selection, evt) {
+        if (selection instanceof RegExp) {
+            return matchesKey(selection, evt);
+        }
+        if (typeof selection === 'function') {
+            return Boolean(selection(evt));
+        }
+        return selection.indexOf(evt) !== -1;
+    }
+
+    /**
+     * Turns the payload contract given to defineEvent into its object form.
+     * A function is a validator, an array lists the type of every argument and fixes the arity.
+     *
+     * @param {Function|Array|Object} payload The payload contract.
+     * @return {Object} Contract with optional `arity`, `types` and `validate` properties.
+     */
+    function normalizePayload(payload) {
+        if (typeof payload === 'function') {
+            return { validate: payload };
+        }
+        if (Array.isArray(payload)) {
+            return { arity: payload.length, types: payload };
+        }
+        if (payload === null || typeof payload !== 'object') {
+            throw new TypeError(`Payload contract must be a function, an array or an object, got ${payload}`);
+        }
+        if (payload.arity !== undefined && (typeof payload.arity !== 'number' || payload.arity < 0)) {
+            throw new TypeError(`Payload arity must be a non-negative number, got ${payload.arity}`);
+        }
+        if (payload.types !== undefined && !Array.isArray(payload.types)) {
+            throw new TypeError('Payload types must be an array');
+        }
+        if (payload.validate !== undefined && typeof payload.validate !== 'function') {
+            throw new TypeError('Payload validate must be a function');
+        }
+        return payload;
+    }
+
+    /**
+     * Checks a single argument against a type of a payload contract.
+     * Types are `typeof` names, `null`, `array`, `*` for anything, or constructors which also accept the matching primitives.
+     *
+     * @param {*} value The argument.
+     * @param {String|Function} type The expected type.
+     * @return {Boolean} True if the argument has the expected type.
+     */
+    function matchesType(value, type) {
+        if (type === '*') {
+            return true;
+        }
+        if (type === 'null') {
+            return value === null;
+        }
+        if (type === 'array') {
+            return Array.isArray(value);
+        }
+        if (typeof type === 'function') {
+            return value !== null && value !== undefined && Object(value) instanceof type;
+        }
+        return typeof value === type;
+    }
+
+    /**
+     * Validates emitted arguments against a payload contract.
+     *
+     * @param {Object} payload Normalized payload contract.
+     * @param {Array} args The emitted arguments.
+     * @return {String|null} Why the arguments are invalid, or null if they are fine.
+     */
+    function checkPayload(payload, args) {
+        if (payload.arity !== undefined && args.length !== payload.arity) {
+            return `expected ${payload.arity} argument(s), got ${args.length}`;
+        }
+        for (let [index, type] of (payload.types || []).entries()) {
+            if (!matchesType(args[index], type)) {
+                return `argument ${index} must be of type ${typeof type === 'function' ? type.name : type}`;
+            }
+        }
+        if (payload.validate) {
+            let result;
+            try {
+                result = payload.validate(...args);
+            } catch (error) {
+                return error.message;
+            }
+            if (result === false || typeof result === 'string') {
+                return result || 'rejected by the validator';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks if an event name contains a `*` or `**` segment.
+     *
+     * @param {*} evt Event name to check.
+     * @param {String} delimiter Namespace delimiter.
+     * @return {Boolean} True if the name is a wildcard pattern.
+     */
+    function isWildcard(evt, delimiter) {
+        return typeof evt === 'string' && evt.split(delimiter).some(segment => segment === '*' || segment === '**');
+    }
+
+    /**
+     * Turns a scheduler setting into a function scheduling a callback.
+     * Without requestAnimationFrame, like in node, `animationFrame` falls back to a 16ms timeout.
+     *
+     * @param {String|Function|Object} scheduler One of `microtask`, `timeout` or `animationFrame`, a function or an object with a `schedule` method.
+     * @return {Function} Method called with the callback to schedule.
+     */
+    function toScheduler(scheduler) {
+        if (typeof scheduler === 'function') {
+            return scheduler;
+        }
+        if (scheduler && typeof scheduler.schedule === 'function') {
+            return callback => scheduler.schedule(callback);
+        }
+        switch (scheduler) {
+            case 'microtask':
+                return typeof queueMicrotask === 'function' ? callback => queueMicrotask(callback) : callback => Promise.resolve().then(callback);
+            case 'timeout':
+                return callback => setTimeout(callback, 0);
+            case 'animationFrame':
+                return typeof requestAnimationFrame === 'function' ? callback => requestAnimationFrame(() => callback()) : callback => setTimeout(callback, 16);
+        }
+        throw new TypeError(`Unknown scheduler "${summarize(scheduler)}", expected one of ${schedulers.join(', ')}, a function or an object with a schedule method`);
+    }
+
+    /**
+     * Matches the segments of an event name against the segments of a wildcard pattern.
+     * `*` matches exactly one segment, `**` matches any number of segments including none.
+     *
+     * @param {String[]} pattern Segments of the pattern.
+     * @param {String[]} name Segments of the event name.
+     * @param {Number} [p] Index of the current pattern segment.
+     * @param {Number} [n] Index of the current name segment.
+     * @return {Boolean} True if the name matches the pattern.
+     */
+    function matchesWildcard(pattern, name, p = 0, n = 0) {
+        if (p === pattern.length) {
+            return n === name.length;
+        }
+        if (pattern[p] === '**') {
+            for (let i = n; i <= name.length; i++) {
+                if (matchesWildcard(pattern, name, p + 1, i)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+        if (n === name.length) {
+            return false;
+        }
+        return (pattern[p] === '*' || pattern[p] === name[n]) && matchesWildcard(pattern, name, p + 1, n + 1);
+    }
+
+    /**
+     * Event object passed as the first argument to every listener when the event object mode is enabled.
+     * See setEventObjectMode.
+     *
+     * @class EmitterEvent Describes a single emit and lets listeners cancel it.
+     */
+    class EmitterEvent {
+        constructor(type, args, target) {
+            this.type = type;
+            this.args = args;
+            this.target = target;
+            this.currentTarget = target;
+            this.defaultPrevented = false;
+            this.propagationStopped = false;
+            this.immediatePropagationStopped = false;
+        }
+
+        /**
+         * Marks the default action as prevented, emit will return true.
+         */
+        preventDefault() {
+            this.defaultPrevented = true;
+        }
+
+        /**
+         * The remaining listeners of the current event still run, but the event will not reach any other event matched by the same emit nor bubble to the next emitter.
+         */
+        stopPropagation() {
+            this.propagationStopped = true;
+        }
+
+        /**
+         * No further listeners will be called at all.
+         */
+        stopImmediatePropagation() {
+            this.propagationStopped = true;
+            this.immediatePropagationStopped = true;
+        }
+    }
+
+    /**
+     * Handle returned by EventEmitter#subscribe, removes its listener when unsubscribed.
+     *
+     * @class Subscription Disposable reference to a single listener.
+     */
+    class Subscription {
+        constructor(emitter, evt, listener, context) {
+            this._emitter = emitter;
+            this._evt = evt;
+            this._listener = listener;
+            this._context = context;
+            this._closed = false;
+        }
+
+        /**
+         * True until the listener is unsubscribed or removed from the emitter in any other way.
+         *
+         * @return {Boolean} Whether the listener is still attached.
+         */
+        get isActive() {
+            if (this._closed) {
+                return false;
+            }
+            for (let [key, listeners] of this._emitter._events) {
+                let matches = this._evt instanceof RegExp ? matchesKey(this._evt, key) : key === this._evt;
+                if (matches && this._emitter.indexOfListener(listeners, this._listener, this._context) !== -1) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        /**
+         * Removes the listener from the emitter. Calling it more than once does nothing.
+         */
+        unsubscribe() {
+            if (!this._closed) {
+                this._closed = true;
+                this._emitter.removeListener(this._evt, this._listener, this._context);
+            }
+        }
+    }
+
+    /**
+     * Groups subscriptions so they can be disposed all at once, for example when a component is torn down.
+     *
+     * @class CompositeSubscription Disposable collection of subscriptions.
+     */
+    class CompositeSubscription {
+        constructor(...subscriptions) {
+            this._subscriptions = new Set();
+            this._closed = false;
+            this.add(...subscriptions);
+        }
+
+        /**
+         * True until unsubscribe has been called.
+         *
+         * @return {Boolean} Whether the composite still accepts subscriptions.
+         */
+        get isActive() {
+            return !this._closed;
+        }
+
+        /**
+         * Adds subscriptions to the group. They are unsubscribed straight away if the group was already disposed.
+         *
+         * @param {...Object} subscriptions Anything with an unsubscribe method.
+         * @return {Object} Current instance of CompositeSubscription for chaining.
+         */
+        add(...subscriptions) {
+            for (let subscription of subscriptions) {
+                if (this._closed) {
+                    subscription.unsubscribe();
+                } else {
+                    this._subscriptions.add(subscription);
+                }
+            }
+            return this;
+        }
+
+        /**
+         * Removes a subscription from the group without unsubscribing it.
+         *
+         * @param {Object} subscription Subscription to forget.
+         * @return {Object} Current instance of CompositeSubscription for chaining.
+         */
+        remove(subscription) {
+            this._subscriptions.delete(subscription);
+            return this;
+        }
+
+        /**
+         * Unsubscribes every subscription of the group.
+         */
+        unsubscribe() {
+            if (!this._closed) {
+                this._closed = true;
+                for (let subscription of this._subscriptions) {
+                    subscription.unsubscribe();
+                }
+                this._subscriptions.clear();
+            }
+        }
+    }
+
+    /**
+     * Async iterator over the emissions of an event, returned by EventEmitter#events.
+     * Every value is the array of arguments of one emit. Emissions that arrive while nobody is waiting are buffered up to a limit.
+     *
+     * @class EventIterator Buffers emissions until they are consumed.
+     */
+    class EventIterator {
+        constructor(emitter, evt, options) {
+            options = options || {};
+            this._bufferSize = options.bufferSize === undefined ? 100 : options.bufferSize;
+            this._overflow = options.overflow || 'drop-oldest';
+            this._buffer = [];
+            this._pending = [];
+            this._failure = null;
+            this._done = false;
+            this._cleanups = [];
+
+            if (typeof this._bufferSize !== 'number' || !(this._bufferSize > 0)) {
+                throw new TypeError(`Buffer size must be a positive number, got ${this._bufferSize}`);
+            }
+            if (overflowStrategies.indexOf(this._overflow) === -1) {
+                throw new TypeError(`Unknown overflow strategy "${this._overflow}", expected one of ${overflowStrategies.join(', ')}`);
+            }
+
+            let signal = options.signal;
+            if (signal && signal.aborted) {
+                this._fail(abortError(signal));
+                return;
+            }
+
+            // Replayed emits reach the listeners while they are added and may already fail the iterator, so cleanups are registered first
+            if (signal) {
+                this._cleanups.push(emitter._onAbort(signal, () => this._fail(abortError(signal))));
+            }
+            if (evt !== 'error') {
+                let onError = (...args) => this._fail(errorFromArgs(args));
+                this._cleanups.push(() => emitter.removeListener('error', onError));
+                emitter.addListener('error', onError);
+            }
+            if (!this._done) {
+                let onEvent = (...args) => this._push(args);
+                this._cleanups.push(() => emitter.removeListener(evt, onEvent));
+                emitter.addListener(evt, onEvent);
+            }
+        }
+
+        /**
+         * Resolves with the next emission, waiting for one if the buffer is empty.
+         *
+         * @return {Promise} Resolves with an iterator result.
+         */
+        next() {
+            if (this._buffer.length) {
+                return Promise.resolve({ value: this._buffer.shift(), done: false });
+            }
+            if (this._failure) {
+                let failure = this._failure;
+                this._failure = null;
+                return Promise.reject(failure);
+            }
+            if (this._done) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+            return new Promise((resolve, reject) => this._pending.push({ resolve, reject }));
+        }
+
+        /**
+         * Stops listening and drops everything that is still buffered. Called by `for await` when the loop is left early.
+         *
+         * @return {Promise} Resolves with a finished iterator result.
+         */
+        return() {
+            this._buffer = [];
+            this._close();
+            for (let pending of this._pending) {
+                pending.resolve({ value: undefined, done: true });
+            }
+            this._pending = [];
+            return Promise.resolve({ value: undefined, done: true });
+        }
+
+        /**
+         * Hands an emission to a waiting consumer or buffers it.
+         *
+         * @param {Array} args Arguments of the emission.
+         * @api private
+         */
+        _push(args) {
+            if (this._pending.length) {
+                this._pending.shift().resolve({ value: args, done: false });
+            } else if (this._buffer.length < this._bufferSize) {
+                this._buffer.push(args);
+            } else if (this._overflow === 'drop-oldest') {
+                this._buffer.shift();
+                this._buffer.push(args);
+            } else if (this._overflow === 'error') {
+                this._fail(new Error(`Event buffer overflow, more than ${this._bufferSize} emissions were not consumed`));
+            }
+        }
+
+        /**
+         * Stops listening and rejects the waiting consumers, or the next call to next once the buffer is drained.
+         *
+         * @param {*} error Reason of the failure.
+         * @api private
+         */
+        _fail(error) {
+            this._close();
+            if (this._pending.length) {
+                for (let pending of this._pending) {
+                    pending.reject(error);
+                }
+                this._pending = [];
+            } else {
+                this._failure = error;
+            }
+        }
+
+        /**
+         * Removes every listener the iterator added.
+         *
+         * @api private
+         */
+        _close() {
+            this._done = true;
+            this._cleanups.forEach(cleanup => cleanup());
+            this._cleanups = [];
+        }
+    }
+
+    if (typeof Symbol.asyncIterator === 'symbol') {
+        EventIterator.prototype[Symbol.asyncIterator] = function () {
+            return this;
+        };
+    }
+
+    /**
+     * Stream of the emissions of an event, returned by EventEmitter#stream, with operators deriving new streams from it.
+     * Every value is the array of arguments of one emit, operator callbacks receive these arguments spread out.
+     * Streams are lazy, nothing listens to the emitter until a stream is subscribed to or forwarded with `to`.
+     * They follow the Observable protocol, so libraries like RxJS accept them through `Symbol.observable`.
+     *
+     * @class EventStream Derives and forwards event streams.
+     */
+    class EventStream {
+        /**
+         * @param {Function} subscriber Method called with an observer for every subscription, returning a method that stops it.
+         */
+        constructor(subscriber) {
+            this._subscriber = subscriber;
+        }
+
+        /**
+         * Starts receiving the values of the stream.
+         * The stream of an event errors when an `error` event is emitted, an error without an error callback is thrown.
+         *
+         * @param {Object|Function} observer An observer with `next`, `error` and `complete` methods, or the next callback.
+         * @param {Function} [error] Optional error callback when passing a next callback.
+         * @param {Function} [complete] Optional complete callback when passing a next callback.
+         * @return {Object} Subscription with an `unsubscribe` method and a `closed` flag.
+         */
+        subscribe(observer, error, complete) {
+            if (typeof observer === 'function' || !observer) {
+                observer = { next: observer, error, complete };
+            }
+
+            let closed = false;
+            let teardown = null;
+            let close = () => {
+                if (!closed) {
+                    closed = true;
+                    if (teardown) {
+                        teardown();
+                    }
+                }
+            };
+
+            teardown = this._subscriber({
+                next: value => {
+                    if (!closed && observer.next) {
+                        observer.next(value);
+                    }
+                },
+                error: reason => {
+                    if (closed) {
+                        return;
+                    }
+                    close();
+                    if (!observer.error) {
+                        throw reason;
+                    }
+                    observer.error(reason);
+                },
+                complete: () => {
+                    if (!closed) {
+                        close();
+                        if (observer.complete) {
+                            observer.complete();
+                        }
+                    }
+                }
+            });
+            if (closed && teardown) {
+                teardown();
+            }
+
+            return {
+                unsubscribe: close,
+                get closed() {
+                    return closed;
+                }
+            };
+        }
+
+        /**
+         * Only lets through the values the predicate accepts.
+         *
+         * @param {Function} predicate Method called with the arguments of every value.
+         * @return {EventStream} The filtered stream.
+         */
+        filter(predicate) {
+            return this._derive((args, observer) => {
+                if (predicate(...args)) {
+                    observer.next(args);
+                }
+            });
+        }
+
+        /**
+         * Replaces every value with what the method returns for it, as a single argument.
+         *
+         * @param {Function} project Method called with the arguments of every value.
+         * @return {EventStream} The mapped stream.
+         */
+        map(project) {
+            return this._derive((args, observer) => observer.next([project(...args)]));
+        }
+
+        /**
+         * Only lets a value through once no other value followed it for the given time.
+         *
+         * @param {Number} wait Time in milliseconds.
+         * @return {EventStream} The debounced stream.
+         */
+        debounce(wait) {
+            return new EventStream(observer => {
+                let timer = null;
+                let subscription = this.subscribe({
+                    next: args => {
+                        clearTimeout(timer);
+                        timer = setTimeout(() => observer.next(args), wait);
+                    },
+                    error: reason => observer.error(reason),
+                    complete: () => observer.complete()
+                });
+                return () => {
+                    clearTimeout(timer);
+                    subscription.unsubscribe();
+                };
+            });
+        }
+
+        /**
+         * Combines the values of this stream and the given ones into a single stream.
+         *
+         * @param {...EventStream} streams Streams to merge with this one.
+         * @return {EventStream} The merged stream, it completes once all of them did.
+         */
+        merge(...streams) {
+            let sources = [this, ...streams];
+            return new EventStream(observer => {
+                let remaining = sources.length;
+                let subscriptions = sources.map(stream => stream.subscribe({
+                    next: args => observer.next(args),
+                    error: reason => observer.error(reason),
+                    complete: () => {
+                        if (--remaining === 0) {
+                            observer.complete();
+                        }
+                    }
+                }));
+                return () => subscriptions.forEach(subscription => subscription.unsubscribe());
+            });
+        }
+
+        /**
+         * Emits every value of the stream as an event of an emitter.
+         *
+         * @param {EventEmitter} emitter The emitter to emit on.
+         * @param {String} evt Name of the event to emit.
+         * @return {Object} Subscription to stop forwarding with, see subscribe.
+         */
+        to(emitter, evt) {
+            return this.subscribe(args => {
+                emitter.emitEvent(evt, args);
+            });
+        }
+
+        /**
+         * Creates a stream passing every value of this one through a method.
+         *
+         * @param {Function} next Method called with the value and the observer of the new stream.
+         * @return {EventStream} The derived stream.
+         * @api private
+         */
+        _derive(next) {
+            return new EventStream(observer => {
+                let subscription = this.subscribe({
+                    next: args => next(args, observer),
+                    error: reason => observer.error(reason),
+                    complete: () => observer.complete()
+                });
+                return () => subscription.unsubscribe();
+            });
+        }
+    }
+
+    EventStream.prototype[observableKey] = function () {
+        return this;
+    };
+
+    // Allow `using` declarations where explicit resource management is available
+    if (typeof Symbol.dispose === 'symbol') {
+        Subscription.prototype[Symbol.dispose] = Subscription.prototype.unsubscribe;
+        CompositeSubscription.prototype[Symbol.dispose] = CompositeSubscription.prototype.unsubscribe;
+    }
+
+    /**
+     * Scheduler for deferred emits that only runs the scheduled callbacks when told to, so tests can flush them deterministically.
+     * Pass it to setScheduler or as the `scheduler` option of emitEventDeferred.
+     *
+     * @class ManualScheduler Queues callbacks until they are flushed.
+     */
+    class ManualScheduler {
+        constructor() {
+            this._queue = [];
+        }
+
+        /**
+         * Number of callbacks waiting to run.
+         *
+         * @return {Number} The queue length.
+         */
+        get pending() {
+            return this._queue.length;
+        }
+
+        /**
+         * Queues a callback.
+         *
+         * @param {Function} callback Callback to run on the next flush.
+         */
+        schedule(callback) {
+            this._queue.push(callback);
+        }
+
+        /**
+         * Runs the oldest queued callback.
+         *
+         * @return {Boolean} True if a callback was run, false if the queue was empty.
+         */
+        runNext() {
+            if (!this._queue.length) {
+                return false;
+            }
+            this._queue.shift()();
+            return true;
+        }
+
+        /**
+         * Runs the queued callbacks in order, including the ones they schedule, until the queue is empty.
+         * Every callback runs even if one throws, their errors are thrown together as an EmitError afterwards.
+         *
+         * @param {Number} [limit] Optional maximum number of callbacks to run, guarding against callbacks that keep scheduling.
+         * @return {Number} Number of callbacks that were run.
+         */
+        flush(limit = Infinity) {
+            let count = 0;
+            let errors = [];
+
+            while (this._queue.length && count < limit) {
+                count++;
+                try {
+                    this._queue.shift()();
+                } catch (error) {
+                    errors.push(error);
+                }
+            }
+
+            if (errors.length) {
+                throw new EmitError(`${errors.length} scheduled callback(s) failed while flushing`, errors);
+            }
+            return count;
+        }
+
+        /**
+         * Drops every queued callback without running it.
+         */
+        clear() {
+            this._queue = [];
+        }
+    }
+
+    /**
+     * Error thrown by emitEvent when the arguments do not match the payload contract given to defineEvent.
+     *
+     * @class PayloadError Describes a malformed payload.
+     */
+    var PayloadError = createErrorClass('PayloadError', TypeError, function (event, args) {
+        this.event = event;
+        this.args = args;
+    });
+
+    /**
+     * Error thrown by emitEvent when the error policy is set to collect and one or more listeners failed.
+     *
+     * @class EmitError Aggregates every error thrown by the listeners of a single emit.
+     */
+    var EmitError = createErrorClass('EmitError', Error, function (errors) {
+        this.errors = errors;
+    });
+
+    /**
+     * Error thrown by emitEvent when a nested emit breaks the emit guard, see setEmitGuard.
+     *
+     * @class ReentrancyError Names the chain of emits that led to it.
+     */
+    var ReentrancyError = createErrorClass('ReentrancyError', Error, function (chain) {
+        this.chain = chain;
+    });
+
+    /**
+     * Class for managing events.
+     * Can be extended to provide event functionality in other classes.
+     *
+     * @class EventEmitter Manages event registering and emitting.
+     */
+    class EventEmitter {
+        constructor() {
+            this._events = new Map();
+            this._maxListenersWarned = new Set();
+            this._payloads = new Map();
+            this._handlers = new Map();
+            this._replays = new Map();
+            this._coalescers = new Map();
+            this._batch = null;
+            this._reentrantEmits = [];
+            this._flushingReentrantEmits = false;
+            this._middleware = [];
+            this._parent = null;
+            this._children = new Set();
+            this._trace = [];
+            this._tracers = [];
+        }
+
+        /**
+         * Returns the listener array for the specified event.
+         * Will initialise the event object and listener arrays if required.
+         * Will return an object if you use a regex search. The object contains keys for each matched event. So /ba[rz]/ might return an object containing bar and baz. But only if you have either defined them with defineEvent or added some listeners to them.
+         * Each property in the object response is an array of listener functions.
+         *
+         * @param {String|RegExp} evt Name of the event to return the listeners from.
+         * @return {Function[]|Object} All listener functions for the event.
+         */
+        getListeners(evt) {
+            let response;
+
+            if (evt instanceof RegExp) {
+                response = new Map();
+                for (let [key, value] of this._events) {
+                    if (matchesKey(evt, key)) {
+                        response.set(key, value);
+                    }
+                }
+            } else {
+                response = this._events.get(evt) || (this._events.set(evt, []) && this._events.get(evt));
+            }
+
+            return response;
+        }
+
+        /**
+         * Adds a listener function to the specified event.
+         * The listener will not be added if it is a duplicate.
+         * If the listener returns true then it will be removed after it is called.
+         * If you pass a regular expression as the event name then the listener will be added to all events that match it.
+         * Listeners with a higher `priority` option run first, listeners sharing a priority run in the order they were added.
+         * The `prepend` option adds the listener before the others of the same priority instead of after them.
+         * Passing an AbortSignal as the `signal` option removes the listener when the signal aborts, an already aborted signal means it is not added at all.
+         * If the event keeps a replay buffer, see defineEvent, the listener is immediately called with every buffered emit.
+         * The `debounce` option in milliseconds only calls the listener once emits have stopped for that long, with the arguments of the last one.
+         * The `throttle` option in milliseconds calls it at most once per period, on the first emit unless `leading` is false and with the last arguments of the period unless `trailing` is false.
+         * The `maxCalls` option removes the listener after it was called that many times. Pending calls are dropped when the listener is removed.
+         * The `capture` option makes the listener of a parent emitter run before the listeners of its descendants when they emit, see setParent.
+         * The `context` option is the `this` the listener is called with instead of the emitter. A listener is identified by its function and context,
+         * so the same method can be added for several objects and is removed by passing its context to removeListener, or with removeListenersByContext.
+         *
+         * @param {String|RegExp} evt Name of the event to attach the listener to.
+         * @param {Function} listener Method to be called when the event is emitted. If the function returns true then it will be removed after calling.
+         * @param {Object} [options] Optional settings, `priority` is a number defaulting to 0, `prepend` a boolean, `signal` an AbortSignal, `debounce`, `throttle` with `leading` and `trailing`, `maxCalls`, `capture` and `context`.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        addListener(evt, listener, options) {
+            let signal = options && options.signal;
+            if (signal && signal.aborted) {
+                return this;
+            }
+
+            var listeners = this.getListenersAsObject(evt);
+            let listenerIsWrapped = typeof listener == "object";
+            let added = [];
+
+            for (var [key, eventListeners] of listeners) {
+                if (!this._isDuplicateListener(eventListeners, listener, options && options.context)) {
+                    // Every event gets its own listener map, a wrapped one is only used once
+                    let listenerMap = !listenerIsWrapped ? this._createListenerMap(listener, false, options)
+                        : added.length ? this._createListenerMap(listener.get('listener'), listener.get('once'), options) : listener;
+                    this._insertListener(eventListeners, listenerMap, Boolean(options && options.prepend));
+                    this._checkMaxListeners(key, eventListeners.length);
+                    added.push([key, listenerMap]);
+                }
+            }
+
+            if (signal) {
+                for (let [key, listenerMap] of added) {
+                    listenerMap.set('abort', this._onAbort(signal, () => this._removeListenerMap(key, listenerMap)));
+                }
+            }
+
+            for (let [key, listenerMap] of added) {
+                this._replayHistory(key, listenerMap);
+            }
+
+            return this;
+        }
+
+        /**
+         * Warns once per event when its listener count exceeds the maximum, see setMaxListeners.
+         * The warning is an Error so its stack points at the registration that crossed the limit.
+         *
+         * @param {String} evt Name of the event a listener was added to.
+         * @param {Number} count Number of listeners the event has now.
+         * @api private
+         */
+        _checkMaxListeners(evt, count) {
+            let max = this.getMaxListeners();
+
+            if (max > 0 && count > max && !this._maxListenersWarned.has(evt)) {
+                this._maxListenersWarned.add(evt);
+
+                let warning = new Error(`Possible EventEmitter memory leak detected. ${count} "${String(evt)}" listeners added, the maximum is ${max}. Use setMaxListeners() to increase the limit.`);
+                warning.name = 'MaxListenersExceededWarning';
+                warning.emitter = this;
+                warning.event = evt;
+                warning.count = count;
+                this._getWarningHandler().call(this, warning);
+            }
+        }
+
+        /**
+         * Runs a callback once the signal aborts.
+         *
+         * @param {AbortSignal} signal Signal to watch.
+         * @param {Function} callback Method to call on abort.
+         * @return {Function} Stops watching the signal.
+         * @api private
+         */
+        _onAbort(signal, callback) {
+            signal.addEventListener('abort', callback, { once: true });
+            return () => signal.removeEventListener('abort', callback);
+        }
+
+        /**
+         * Adds a listener like addListener does, but returns a Subscription handle instead of the instance.
+         * Calling `unsubscribe()` on the handle removes the listener without having to keep the event name and function around.
+         *
+         * @param {String|RegExp} evt Name of the event to attach the listener to.
+         * @param {Function} listener Method to be called when the event is emitted.
+         * @param {Object} [options] Optional settings, the same as for addListener.
+         * @return {Subscription} Handle to remove the listener with.
+         */
+        subscribe(evt, listener, options) {
+            this.addListener(evt, listener, options);
+            return new Subscription(this, evt, listener, options && options.context);
+        }
+
+        /**
+         * Creates the map used to store a listener along with its settings.
+         *
+         * @param {Function} listener Method to be called when the event is emitted.
+         * @param {Boolean} once True if the listener should be removed after its first execution.
+         * @param {Object} [options] Optional settings passed to addListener.
+         * @return {Map} The listener map.
+         * @api private
+         */
+        _createListenerMap(listener, once, options) {
+            let priority = options && options.priority !== undefined ? options.priority : 0;
+
+            if (typeof priority !== 'number' || isNaN(priority)) {
+                throw new TypeError(`Listener priority must be a number, got ${priority}`);
+            }
+
+            let listenerMap = new Map([
+                ['listener', listener],
+                ['once', once],
+                ['priority', priority]
+            ]);
+            if (options && options.capture) {
+                listenerMap.set('capture', true);
+            }
+            if (options && options.context !== undefined) {
+                listenerMap.set('context', options.context);
+            }
+            if (this._getCaptureStackTraces()) {
+                listenerMap.set('stack', String(new Error().stack).split('\n').slice(1).join('\n'));
+            }
+            let timing = this._createTiming(options);
+            if (timing) {
+                listenerMap.set('timing', timing);
+            }
+            if (options && options.maxCalls !== undefined) {
+                if (!Number.isInteger(options.maxCalls) || options.maxCalls < 1) {
+                    throw new TypeError(`Listener maxCalls must be a positive integer, got ${options.maxCalls}`);
+                }
+                listenerMap.set('maxCalls', options.maxCalls);
+            }
+            return listenerMap;
+        }
+
+        /**
+         * Creates the state of a debounced or throttled listener from its options.
+         *
+         * @param {Object} [options] Optional settings passed to addListener.
+         * @return {Object|null} The timing state or null if the listener is called on every emit.
+         * @api private
+         */
+        _createTiming(options) {
+            let type = ['debounce', 'throttle'].filter(key => options && options[key] !== undefined);
+
+            if (type.length === 0) {
+                return null;
+            }
+            if (type.length > 1) {
+                throw new TypeError('Listener debounce and throttle cannot be combined');
+            }
+
+            let wait = options[type[0]];
+            if (typeof wait !== 'number' || isNaN(wait) || wait < 0) {
+                throw new TypeError(`Listener ${type[0]} must be a non-negative number, got ${wait}`);
+            }
+            return {
+                type: type[0],
+                wait,
+                leading: options.leading !== false,
+                trailing: options.trailing !== false,
+                timer: null,
+                pending: null
+            };
+        }
+
+        /**
+         * Checks if a listener is already attached with the same context, in which case addListener skips it.
+         *
+         * @param {Map[]} listeners Listener array of an event.
+         * @param {Function|Map} listener Listener that is being added.
+         * @param {*} [context] Context the listener is being added with.
+         * @return {Boolean} True if the listener should not be added again.
+         * @api private
+         */
+        _isDuplicateListener(listeners, listener, context) {
+            return this.indexOfListener(listeners, listener, context) !== -1;
+        }
+
+        /**
+         * Inserts a listener map into a listener array after every listener of the same or a higher priority.
+         * When prepending it goes before the listeners of the same priority instead.
+         *
+         * @param {Map[]} listeners Listener array of an event.
+         * @param {Map} listenerMap Listener map to insert.
+         * @param {Boolean} [prepend] True to insert before listeners of the same priority.
+         * @api private
+         */
+        _insertListener(listeners, listenerMap, prepend) {
+            let priority = listenerMap.get('priority') || 0;
+            let index = listeners.findIndex(map => {
+                let other = map.get('priority') || 0;
+                return prepend ? other <= priority : other < priority;
+            });
+
+            if (index === -1) {
+                listeners.push(listenerMap);
+            } else {
+                listeners.splice(index, 0, listenerMap);
+            }
+        }
+
+        /**
+         * Fetches the requested listeners via getListeners but will always return the results inside an object. This is mainly for internal use but others may find it useful.
+         *
+         * @param {String|RegExp} evt Name of the event to return the listeners from.
+         * @return {Object} All listener functions for an event in an object.
+         */
+        getListenersAsObject(evt) {
+            let listeners = this.getListeners(evt);
+            let response;
+
+            if (Array.isArray(listeners)) {
+                response = new Map();
+                response.set(evt, listeners);
+            }
+
+            return response || listeners;
+        }
+
+        /**
+         * Finds the index of the listener for the event in its storage array.
+         *
+         * @param {Function[]} listeners Array of listeners to search through.
+         * @param {Function} listener Method to look for.
+         * @param {*} [context] Context the listener was added with. It has to match exactly, leaving it out only finds the listener if it was added without a context.
+         * @return {Number} Index of the specified listener, -1 if not found
+         * @api private
+         */
+        indexOfListener(listeners, listener, context) {
+            return listeners.findIndex(map => map.get('listener') === listener && map.get('context') === context);
+        }
+
+        /**
+         * Takes a list of listener objects and flattens it into a list of listener functions.
+         *
+         * @param {Object[]} listeners Raw listener objects.
+         * @return {Function[]} Just the listener functions.
+         */
+        flattenListeners(listeners) {
+            return listeners.map(map => map.get('listener'));
+        }
+
+        /**
+         * Defines an event name. This is required if you want to use a regex to add a listener to multiple events at once. If you don't do this then how do you expect it to know what event to add to? Should it just add to every possible match for a regex? No. That is scary and bad.
+         * You need to tell it what event names should be matched by a regex.
+         * Wildcard patterns do not need this, see setWildcardDelimiter.
+         * The `payload` option sets the contract the arguments of every emit must fulfil. It can be a validator function receiving the arguments and returning false or a message when they are invalid,
+         * an array of argument types, or an object with any of `arity`, `types` and `validate`. Types are `typeof` names, `null`, `array`, `*` or constructors.
+         * How a broken contract is reported is decided by the validation policy, see setValidationPolicy.
+         * The `replay` option keeps the arguments of the last n emits and calls every listener added later with them, oldest first.
+         * `sticky: true` is short for `replay: 1`, useful for events like `ready` that late listeners still need to know about. A replay of 0 stops buffering.
+         * The `coalesce` option decides what happens to repeated emits of the event inside a batch, see batch. With `'last'` only the arguments of the last emit are kept,
+         * a function is a reducer called with the arguments kept so far and the ones of the new emit, returning the merged arguments. `false` queues every emit again.
+         *
+         * @param {String} evt Name of the event to create.
+         * @param {Object} [options] Optional settings, `payload` is the payload contract, `replay` the number of emits to buffer, `sticky` a boolean and `coalesce` how batched emits are merged.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        defineEvent(evt, options) {
+            this.getListeners(evt);
+            if (options && options.payload !== undefined) {
+                this._payloads.set(evt, normalizePayload(options.payload));
+            }
+            if (options && options.replay !== undefined) {
+                this._setReplay(evt, options.replay);
+            } else if (options && options.sticky) {
+                this._setReplay(evt, 1);
+            }
+            if (options && options.coalesce !== undefined) {
+                this._setCoalesce(evt, options.coalesce);
+            }
+            return this;
+        }
+
+        /**
+         * Uses defineEvent to define multiple events.
+         * Pass a map of event names to defineEvent options to set their payload contracts at the same time.
+         *
+         * @param {String[]|Map} evts An array of event names to define or a map of event names to options.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        defineEvents(evts) {
+            if (evts instanceof Map) {
+                for (let [evt, options] of evts) {
+                    this.defineEvent(evt, options);
+                }
+            } else {
+                evts.forEach(e => this.defineEvent(e));
+            }
+            return this;
+        }
+
+        /**
+         * Sets how many emits of an event are buffered for replay, trimming the current buffer if needed.
+         *
+         * @param {String} evt Name of the event.
+         * @param {Number} size Number of emits to keep, 0 to stop buffering.
+         * @api private
+         */
+        _setReplay(evt, size) {
+            if (typeof size !== 'number' || !Number.isInteger(size) || size < 0) {
+                throw new RangeError(`The value of "replay" is out of range. It must be a non-negative integer. Received ${size}`);
+            }
+
+            if (size === 0) {
+                this._replays.delete(evt);
+            } else {
+                let history = this._replays.has(evt) ? this._replays.get(evt).history : [];
+                this._replays.set(evt, { size, history: history.slice(-size) });
+            }
+        }
+
+        /**
+         * Sets how repeated emits of an event are merged inside a batch.
+         *
+         * @param {String} evt Name of the event.
+         * @param {String|Function|Boolean} coalesce `'last'`, a reducer or false to stop coalescing.
+         * @api private
+         */
+        _setCoalesce(evt, coalesce) {
+            if (coalesce === false || coalesce === null) {
+                this._coalescers.delete(evt);
+            } else if (coalesce === 'last' || typeof coalesce === 'function') {
+                this._coalescers.set(evt, coalesce);
+            } else {
+                throw new TypeError(`The "coalesce" option must be 'last', a function or false. Received ${summarize(coalesce)}`);
+            }
+        }
+
+        /**
+         * Buffers the arguments of an emit for every replayed event it matches.
+         *
+         * @param {String|RegExp} evt Name of the emitted event.
+         * @param {Array} args Arguments of the emit.
+         * @api private
+         */
+        _recordHistory(evt, args) {
+            for (let [event, replay] of this._replays) {
+                if (evt instanceof RegExp ? matchesKey(evt, event) : event === evt) {
+                    replay.history.push(args.slice());
+                    if (replay.history.length > replay.size) {
+                        replay.history.shift();
+                    }
+                }
+            }
+        }
+
+        /**
+         * Calls a freshly added listener with the buffered emits of its event, stopping early if the listener is removed.
+         * Errors are handled according to the error policy like during an emit.
+         *
+         * @param {String} event Name of the event the listener was added to.
+         * @param {Map} listenerMap Listener map that was added.
+         * @api private
+         */
+        _replayHistory(event, listenerMap) {
+            let replay = this._replays.get(event);
+            let errors = [];
+
+            for (let args of replay ? replay.history.slice() : []) {
+                if ((this._events.get(event) || []).indexOf(listenerMap) === -1) {
+                    break;
+                }
+                let response;
+                try {
+                    response = this._callListener(event, listenerMap, this._getListenerArgs(this._createEventObject(event, args), event, args));
+                } catch (error) {
+                    this._handleListenerError(error, event, listenerMap, errors);
+                    continue;
+                }
+                this._settleListener(event, listenerMap, response);
+            }
+
+            if (errors.length) {
+                throw new EmitError(`${errors.length} listener(s) failed while replaying "${String(event)}"`, errors);
+            }
+        }
+
+        /**
+         * Returns the buffered emits of an event, see defineEvent.
+         *
+         * @param {String} evt Name of the event.
+         * @return {Array[]} The arguments of every buffered emit, oldest first.
+         */
+        getHistory(evt) {
+            let replay = this._replays.get(evt);
+            return replay ? replay.history.map(args => args.slice()) : [];
+        }
+
+        /**
+         * Empties the replay buffer of an event, or of every event if none is given. The events keep buffering new emits.
+         *
+         * @param {String} [evt] Optional name of the event to clear the buffer of.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        clearHistory(evt) {
+            for (let [event, replay] of this._replays) {
+                if (evt === undefined || event === evt) {
+                    replay.history = [];
+                }
+            }
+            return this;
+        }
+
+        /**
+         * Checks the arguments of an emit against the payload contract of every event it matches that has one.
+         *
+         * @param {String|RegExp} evt Name of the emitted event.
+         * @param {Array} args Arguments of the emit.
+         * @api private
+         */
+        _validatePayload(evt, args) {
+            for (let [event, payload] of this._payloads) {
+                let reason = (evt instanceof RegExp ? matchesKey(evt, event) : event === evt) && checkPayload(payload, args);
+
+                if (reason) {
+                    let error = new PayloadError(`Invalid payload for "${String(event)}": ${reason}`, event, args);
+                    if (this._getValidationPolicy() === 'throw') {
+                        throw error;
+                    }
+                    this._getWarningHandler().call(this, error);
+                }
+            }
+        }
+
+        /**
+         * Emits an event of your choice.
+         * When emitted, every listener attached to that event will be executed.
+         * If you pass the optional argument array then those arguments will be passed to every listener upon execution.
+         * Because it uses `apply`, your array of arguments will be passed as if you wrote them out separately.
+         * So they will not arrive within the array on the other side, they will be separate.
+         * You can also pass a regular expression to emit to all events that match it.
+         * What happens when a listener throws depends on the error policy, see setErrorPolicy.
+         * When the event object mode is enabled every listener receives an EmitterEvent before the arguments and the return value tells if the default was prevented.
+         * The emit goes through the middleware first, see use, and is traced if tracing is enabled, see setTraceBufferSize.
+         * Inside a batch the emit is only queued, see batch. Emits made by listeners are checked against the emit guard, see setEmitGuard.
+         *
+         * @param {String|RegExp} evt Name of the event to emit and execute listeners for.
+         * @param {Array} [args] Optional array of arguments to be passed to each listener.
+         * @return {Object|Boolean} Current instance of EventEmitter for chaining, or true if a listener prevented the default in event object mode.
+         */
+        emitEvent(evt, args) {
+            if (this._batch) {
+                this._queueEmit(evt, args || []);
+                return this._getEventObjectMode() ? false : this;
+            }
+
+            if (this._isEmitting()) {
+                if (this._getEmitGuard().queue) {
+                    this._reentrantEmits.push({ event: evt, args: (args || []).slice() });
+                    return this._getEventObjectMode() ? false : this;
+                }
+                this._checkEmitGuard(evt);
+            }
+
+            let result;
+            activeEmits.push({ emitter: this, event: evt });
+            try {
+                result = this._traceEmit(evt, args);
+            } catch (error) {
+                activeEmits.pop();
+                // The error of the emit itself wins over the ones of the queued emits
+                this._flushReentrantEmits();
+                throw error;
+            }
+            activeEmits.pop();
+
+            let errors = this._flushReentrantEmits();
+            if (errors.length) {
+                throw new EmitError(`${errors.length} queued re-entrant emit(s) of "${String(evt)}" failed`, errors);
+            }
+            return result;
+        }
+
+        /**
+         * Traces an emit and runs it through the middleware and the listeners.
+         *
+         * @param {String|RegExp} evt Name of the event to emit and execute listeners for.
+         * @param {Array} [args] Optional array of arguments to be passed to each listener.
+         * @return {Object|Boolean} Current instance of EventEmitter or whether the default was prevented, see emitEvent.
+         * @api private
+         */
+        _traceEmit(evt, args) {
+            let trace = this._startTrace(evt, args || [], false);
+
+            try {
+                let result = this._getEventObjectMode() ? true : this;
+                if (!this._middleware.length) {
+                    result = this._dispatchEvent(evt, args, trace);
+                } else {
+                    let context = { event: evt, args: (args || []).slice(), async: false };
+                    this._runMiddleware(context, () => {
+                        result = this._dispatchEvent(context.event, context.args, trace);
+                        return result;
+                    });
+                }
+                this._endTrace(trace, null);
+                return result;
+            } catch (error) {
+                this._endTrace(trace, error);
+                throw error;
+            }
+        }
+
+        /**
+         * Tells if a synchronous emit of this emitter is dispatching.
+         *
+         * @return {Boolean} True while listeners of an emit are running.
+         * @api private
+         */
+        _isEmitting() {
+            return activeEmits.some(active => active.emitter === this);
+        }
+
+        /**
+         * Throws if a nested emit goes deeper than the emit guard allows or closes an event cycle it forbids.
+         *
+         * @param {String|RegExp} evt Name of the event about to be emitted.
+         * @api private
+         */
+        _checkEmitGuard(evt) {
+            let guard = this._getEmitGuard();
+            let own = activeEmits.filter(active => active.emitter === this);
+            let describe = from => activeEmits.slice(activeEmits.indexOf(from)).map(active => active.event).concat([evt]);
+            let format = chain => chain.map(event => `"${summarize(event)}"`).join(' -> ');
+
+            if (own.length >= guard.maxDepth) {
+                let chain = describe(own[0]);
+                throw new ReentrancyError(`Maximum emit depth of ${guard.maxDepth} exceeded: ${format(chain)}`, chain);
+            }
+
+            let repeated = guard.cycles && own.find(active => active.event === evt);
+            if (repeated) {
+                let chain = describe(repeated);
+                throw new ReentrancyError(`Event cycle detected: ${format(chain)}`, chain);
+            }
+        }
+
+        /**
+         * Emits the queued re-entrant emits once the outermost emit of this emitter is done, see setEmitGuard.
+         * Every queued emit is made even if one throws. Only the outermost flush drains the queue, so the emits it makes do not flush it themselves.
+         *
+         * @return {Error[]} The errors thrown by the queued emits.
+         * @api private
+         */
+        _flushReentrantEmits() {
+            let errors = [];
+
+            if (this._flushingReentrantEmits) {
+                return errors;
+            }
+            this._flushingReentrantEmits = true;
+            try {
+                while (this._reentrantEmits.length && !this._isEmitting()) {
+                    let entry = this._reentrantEmits.shift();
+                    try {
+                        this.emitEvent(entry.event, entry.args);
+                    } catch (error) {
+                        errors.push(error);
+                    }
+                }
+            } finally {
+                this._flushingReentrantEmits = false;
+            }
+            return errors;
+        }
+
+        /**
+         * Runs the listeners for an emit, once the middleware let it through.
+         *
+         * @param {String|RegExp} evt Name of the event to emit and execute listeners for.
+         * @param {Array} [args] Optional array of arguments to be passed to each listener.
+         * @param {Object|null} trace Trace record of the emit, null when tracing is disabled.
+         * @return {Object|Boolean} Current instance of EventEmitter or whether the default was prevented, see emitEvent.
+         * @api private
+         */
+        _dispatchEvent(evt, args, trace) {
+            let errors = [];
+            let eventObject = this._createEventObject(evt, args || []);
+
+            this._validatePayload(evt, args || []);
+
+            if (evt === 'error' && this._getErrorPolicy() === 'emit' && ![this, ...this._getAncestors()].some(emitter => emitter._hasOwnListeners('error'))) {
+                throw unhandledError((args || [])[0]);
+            }
+            this._recordHistory(evt, args || []);
+
+            for (let [emitter, event, listenerMap, type] of this._getPropagationQueue(evt)) {
+                if (emitter._isPropagationStopped(eventObject, type)) {
+                    break;
+                }
+                if (emitter._hasFired(event, listenerMap)) {
+                    continue;
+                }
+                let response;
+                let listenerTrace = this._traceListener(trace, emitter, event, type, listenerMap);
+                try {
+                    response = emitter._callListener(event, listenerMap, emitter._getListenerArgs(eventObject, type, args || []));
+                } catch (error) {
+                    this._endListenerTrace(listenerTrace, error);
+                    emitter._handleListenerError(error, type, listenerMap, errors);
+                    continue;
+                }
+                this._endListenerTrace(listenerTrace, null);
+                emitter._settleListener(event, listenerMap, response);
+            }
+
+            if (errors.length) {
+                throw new EmitError(`${errors.length} listener(s) failed while emitting "${String(evt)}"`, errors);
+            }
+            return this._getEventObjectMode() ? eventObject.defaultPrevented : this;
+        }
+
+        /**
+         * Calls the function and queues every emitEvent made on this emitter while it runs, emitting them once it returns.
+         * Repeated emits of an event are merged if the event was defined with the `coalesce` option, keeping the position of the first one.
+         * Batches can be nested, the queue is only flushed when the outermost batch ends.
+         * If the function throws the emits queued so far are still flushed before the error is rethrown, unless `discardOnError` is set.
+         * In that case the emits queued by this batch are dropped and the ones of the outer batches are kept.
+         * Every queued emit is made even if one throws, their errors are thrown together as an EmitError afterwards. The error of the function itself takes precedence over them.
+         * Only synchronous emits are batched, emitEventAsync and requests run right away.
+         *
+         * @param {Function} fn Function to run, called with the emitter.
+         * @param {Object} [options] Optional settings, `discardOnError` drops the queued emits when fn throws.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        batch(fn, options) {
+            if (typeof fn !== 'function') {
+                throw new TypeError(`The "fn" argument must be of type Function. Received type ${typeof fn}`);
+            }
+            let batch = this._batch || (this._batch = { depth: 0, queue: [] });
+            let snapshot = batch.queue.map(entry => [entry, entry.args]);
+
+            batch.depth++;
+            try {
+                fn.call(this, this);
+            } catch (error) {
+                if (options && options.discardOnError) {
+                    batch.queue = snapshot.map(([entry, args]) => {
+                        entry.args = args;
+                        return entry;
+                    });
+                }
+                this._endBatch(batch);
+                throw error;
+            }
+
+            let errors = this._endBatch(batch);
+            if (errors.length) {
+                throw new EmitError(`${errors.length} queued emit(s) failed while flushing a batch`, errors);
+            }
+            return this;
+        }
+
+        /**
+         * Tells if a batch is running, see batch.
+         *
+         * @return {Boolean} True while emits are queued.
+         */
+        isBatching() {
+            return this._batch !== null;
+        }
+
+        /**
+         * Queues an emit of the running batch, merging it with an earlier one if the event coalesces.
+         *
+         * @param {String|RegExp} evt Name of the emitted event.
+         * @param {Array} args Arguments of the emit.
+         * @api private
+         */
+        _queueEmit(evt, args) {
+            let coalesce = this._coalescers.get(evt);
+            let entry = coalesce && this._batch.queue.find(queued => queued.event === evt);
+
+            if (!entry) {
+                this._batch.queue.push({ event: evt, args: args.slice() });
+            } else if (coalesce === 'last') {
+                entry.args = args.slice();
+            } else {
+                let merged = coalesce.call(this, entry.args.slice(), args.slice());
+                entry.args = Array.isArray(merged) ? merged : [merged];
+            }
+        }
+
+        /**
+         * Leaves a batch, emitting its queue if it was the outermost one.
+         * Every queued emit is made even if one throws.
+         *
+         * @param {Object} batch The running batch.
+         * @return {Error[]} The errors thrown by the queued emits.
+         * @api private
+         */
+        _endBatch(batch) {
+            let errors = [];
+            if (--batch.depth > 0) {
+                return errors;
+            }
+
+            this._batch = null;
+            for (let entry of batch.queue) {
+                try {
+                    this.emitEvent(entry.event, entry.args);
+                } catch (error) {
+                    errors.push(error);
+                }
+            }
+            return errors;
+        }
+
+        /**
+         * Asynchronous counterpart of emitEvent.
+         * Every listener is called with the passed arguments and its return value is awaited, so listeners may return promises.
+         * By default listeners run one after another, each one waiting for the previous one to settle. Pass `{ parallel: true }` to start them all at once.
+         * A listener is removed if the value it resolves with matches the once return value.
+         * In event object mode the listeners receive an EmitterEvent, stopping propagation only has an effect when running serially.
+         * The emit goes through the middleware first, see use, and the promise settles once the whole chain has. Its trace ends when the promise settles.
+         *
+         * @param {String|RegExp} evt Name of the event to emit and execute listeners for.
+         * @param {Array} [args] Optional array of arguments to be passed to each listener.
+         * @param {Object} [options] Optional settings, `parallel` runs all listeners concurrently.
+         * @return {Promise} Resolves with an array of the listeners results in execution order, rejects with the first error.
+         */
+        emitEventAsync(evt, args, options) {
+            let trace = this._startTrace(evt, args || [], true);
+            let results = [];
+            let emitted = new Promise(resolve => {
+                if (!this._middleware.length) {
+                    resolve(this._dispatchEventAsync(evt, args, options, trace).then(response => {
+                        results = response;
+                    }));
+                    return;
+                }
+
+                let context = { event: evt, args: (args || []).slice(), async: true };
+                resolve(this._runMiddleware(context, () => {
+                    return this._dispatchEventAsync(context.event, context.args, options, trace).then(response => {
+                        results = response;
+                        return response;
+                    });
+                }));
+            });
+
+            return emitted.then(() => {
+                this._endTrace(trace, null);
+                return results;
+            }, error => {
+                this._endTrace(trace, error);
+                throw error;
+            });
+        }
+
+        /**
+         * Runs the listeners for an asynchronous emit, once the middleware let it through.
+         *
+         * @param {String|RegExp} evt Name of the event to emit and execute listeners for.
+         * @param {Array} [args] Optional array of arguments to be passed to each listener.
+         * @param {Object} [options] Optional settings, see emitEventAsync.
+         * @param {Object|null} trace Trace record of the emit, null when tracing is disabled.
+         * @return {Promise} Resolves with an array of the listeners results, see emitEventAsync.
+         * @api private
+         */
+        _dispatchEventAsync(evt, args, options, trace) {
+            try {
+                this._validatePayload(evt, args || []);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            this._recordHistory(evt, args || []);
+
+            let parallel = Boolean(options && options.parallel);
+            let eventObject = this._createEventObject(evt, args || []);
+            let invoke = ([emitter, event, listenerMap, type]) => {
+                let listenerArgs = emitter._getListenerArgs(eventObject, type, args || []);
+                let listenerTrace = this._traceListener(trace, emitter, event, type, listenerMap);
+                return new Promise(resolve => resolve(emitter._callListener(event, listenerMap, listenerArgs)))
+                    .then(response => {
+                        this._endListenerTrace(listenerTrace, null);
+                        emitter._settleListener(event, listenerMap, response);
+                        return response;
+                    }, error => {
+                        this._endListenerTrace(listenerTrace, error);
+                        throw error;
+                    });
+            };
+            let queue = this._getPropagationQueue(evt);
+
+            if (parallel) {
+                return Promise.all(queue.map(invoke));
+            }
+            return queue.reduce((chain, entry) => chain.then(results => {
+                let [emitter, event, listenerMap, type] = entry;
+                if (emitter._isPropagationStopped(eventObject, type) || emitter._hasFired(event, listenerMap)) {
+                    return results;
+                }
+                return invoke(entry).then(response => {
+                    results.push(response);
+                    return results;
+                });
+            }), Promise.resolve([]));
+        }
+
+        /**
+         * Adds a middleware every emit goes through before reaching the listeners, for logging, transforming arguments or access checks.
+         * A middleware is called with a context and a `next` function, middleware added first runs first.
+         * The context holds the `event` name and the `args` array, both may be changed before calling `next`, and `async` telling if the emit came from emitEventAsync.
+         * Calling `next` passes the emit on to the following middleware and finally the listeners, not calling it vetoes the emit. Code after `next` runs once the listeners are done.
+         * For emitEventAsync `next` returns a promise of the listener results and the middleware may return a promise the emit waits for.
+         * For emitEvent `next` returns what emitEvent would, the listeners only run when `next` is called. A vetoed emitEvent returns the instance, or true in event object mode.
+         * Middleware of emitEvent has to be synchronous: emitEvent throws a TypeError if one returns a promise, and `next` can not be called any more once emitEvent returned.
+         *
+         * @param {Function} middleware Method called with the context and next for every emit.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        use(middleware) {
+            if (typeof middleware !== 'function') {
+                throw new TypeError(`The "middleware" argument must be of type Function. Received type ${typeof middleware}`);
+            }
+            this._middleware.push(middleware);
+            return this;
+        }
+
+        /**
+         * Removes a middleware added with use.
+         *
+         * @param {Function} middleware Method to remove.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        removeMiddleware(middleware) {
+            let index = this._middleware.indexOf(middleware);
+            if (index !== -1) {
+                this._middleware.splice(index, 1);
+            }
+            return this;
+        }
+
+        /**
+         * Passes an emit through the middleware chain.
+         *
+         * @param {Object} context Context of the emit, shared by every middleware.
+         * @param {Function} dispatch Method running the listeners, called by the last next.
+         * @return {*} Whatever the first middleware returned.
+         * @api private
+         */
+        _runMiddleware(context, dispatch) {
+            let middleware = this._middleware.slice();
+            let finished = false;
+            let run = index => {
+                if (index === middleware.length) {
+                    return dispatch();
+                }
+                let called = false;
+                let result = middleware[index].call(this, context, () => {
+                    if (called) {
+                        throw new Error('next() called multiple times');
+                    }
+                    if (finished) {
+                        throw new Error(`next() called after the synchronous emit of "${String(context.event)}" returned`);
+                    }
+                    called = true;
+                    return run(index + 1);
+                });
+                if (!context.async && result && typeof result.then === 'function') {
+                    // The caller of a synchronous emit can not receive the outcome, it gets the error below instead
+                    result.then(null, () => {});
+                    throw new TypeError(`Middleware returned a promise for the synchronous emit of "${String(context.event)}", asynchronous middleware needs emitEventAsync`);
+                }
+                return result;
+            };
+
+            try {
+                return run(0);
+            } finally {
+                finished = !context.async;
+            }
+        }
+
+        /**
+         * Enables tracing of emits into a ring buffer keeping the last `size` records, see getTrace. A size of 0, the default, disables the buffer.
+         * Every emitEvent and emitEventAsync call gets a record with the emitted `event`, `regex` telling if it was a regular expression fan-out, `async`,
+         * a summary of the `args` holding no references to objects, the `startTime` and `duration` in milliseconds, the `error` the emit threw, if any,
+         * and the `listeners` that ran, each with the `event` it is stored under, the emitted `type`, its `name`, the `emitter` it belongs to, `startTime`, `duration` and `error`.
+         *
+         * @param {Number} size Number of records to keep.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setTraceBufferSize(size) {
+            if (typeof size !== 'number' || !Number.isInteger(size) || size < 0) {
+                throw new RangeError(`The value of "size" is out of range. It must be a non-negative integer. Received ${size}`);
+            }
+            this._traceBufferSize = size;
+            this._trace = this._trace.slice(this._trace.length - size);
+            return this;
+        }
+
+        /**
+         * Fetches the size of the trace ring buffer.
+         *
+         * @return {Number} The current size or the default, 0.
+         * @api private
+         */
+        _getTraceBufferSize() {
+            return this.hasOwnProperty('_traceBufferSize') ? this._traceBufferSize : 0;
+        }
+
+        /**
+         * Returns the buffered trace records, see setTraceBufferSize.
+         *
+         * @return {Object[]} The records of the last emits, oldest first.
+         */
+        getTrace() {
+            return this._trace.slice();
+        }
+
+        /**
+         * Empties the trace ring buffer.
+         *
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        clearTrace() {
+            this._trace = [];
+            return this;
+        }
+
+        /**
+         * Adds a tracer receiving the trace record of every emit, whether the ring buffer is enabled or not, to build timelines or performance marks.
+         * A tracer is an object whose optional `start` and `end` methods are called with the record when the emit starts and ends, or a function called when it ends.
+         *
+         * @param {Object|Function} tracer The tracer.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        addTracer(tracer) {
+            this._tracers.push(typeof tracer === 'function' ? { end: tracer, original: tracer } : tracer);
+            return this;
+        }
+
+        /**
+         * Removes a tracer added with addTracer.
+         *
+         * @param {Object|Function} tracer The tracer to remove.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        removeTracer(tracer) {
+            this._tracers = this._tracers.filter(added => added !== tracer && added.original !== tracer);
+            return this;
+        }
+
+        /**
+         * Creates the trace record of an emit if tracing is enabled.
+         *
+         * @param {String|RegExp} evt Name of the emitted event.
+         * @param {Array} args Arguments of the emit.
+         * @param {Boolean} async True for emitEventAsync.
+         * @return {Object|null} The record or null when tracing is disabled.
+         * @api private
+         */
+        _startTrace(evt, args, async) {
+            if (!this._tracers.length && !this._getTraceBufferSize()) {
+                return null;
+            }
+
+            let trace = {
+                event: evt,
+                regex: evt instanceof RegExp,
+                async,
+                args: args.map(summarize),
+                listeners: [],
+                startTime: now(),
+                duration: null,
+                error: null
+            };
+            this._tracers.slice().forEach(tracer => tracer.start && tracer.start(trace));
+            return trace;
+        }
+
+        /**
+         * Completes the trace record of an emit, buffers it and hands it to the tracers.
+         *
+         * @param {Object|null} trace The record.
+         * @param {*} error What the emit threw, null if it did not.
+         * @api private
+         */
+        _endTrace(trace, error) {
+            if (!trace || trace.duration !== null) {
+                return;
+            }
+
+            trace.duration = now() - trace.startTime;
+            trace.error = error;
+
+            let size = this._getTraceBufferSize();
+            if (size) {
+                this._trace.push(trace);
+                if (this._trace.length > size) {
+                    this._trace.shift();
+                }
+            }
+            this._tracers.slice().forEach(tracer => tracer.end && tracer.end(trace));
+        }
+
+        /**
+         * Adds a listener that is about to run to the trace record of the emit.
+         *
+         * @param {Object|null} trace The record of the emit.
+         * @param {EventEmitter} emitter The emitter the listener belongs to.
+         * @param {String} event Name of the event the listener is stored under.
+         * @param {String} type Name of the emitted event.
+         * @param {Map} listenerMap The listener map.
+         * @return {Object|null} The record of the listener or null when tracing is disabled.
+         * @api private
+         */
+        _traceListener(trace, emitter, event, type, listenerMap) {
+            if (!trace) {
+                return null;
+            }
+
+            let listener = listenerMap.get('listener');
+            let listenerTrace = { event, type, name: listener.name || '(anonymous)', emitter, startTime: now(), duration: null, error: null };
+            trace.listeners.push(listenerTrace);
+            return listenerTrace;
+        }
+
+        /**
+         * Completes the trace record of a listener.
+         *
+         * @param {Object|null} listenerTrace The record of the listener.
+         * @param {*} error What the listener threw, null if it did not.
+         * @api private
+         */
+        _endListenerTrace(listenerTrace, error) {
+            if (listenerTrace) {
+                listenerTrace.duration = now() - listenerTrace.startTime;
+                listenerTrace.error = error;
+            }
+        }
+
+        /**
+         * Registers the handler answering requests for an event, see requestEvent.
+         * An event has at most one handler, registering a second one throws until the first is removed with removeHandler.
+         *
+         * @param {String} evt Name of the event to answer requests for.
+         * @param {Function} handler Method called with the request arguments, its return value is the response.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        handle(evt, handler) {
+            checkListener(handler);
+            if (this._handlers.has(evt)) {
+                throw new Error(`The event "${String(evt)}" already has a handler`);
+            }
+            this._handlers.set(evt, handler);
+            return this;
+        }
+
+        /**
+         * Removes the handler of an event.
+         *
+         * @param {String} evt Name of the event to remove the handler from.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        removeHandler(evt) {
+            this._handlers.delete(evt);
+            return this;
+        }
+
+        /**
+         * Asks the listeners of an event for a response instead of just notifying them.
+         * If the event has a handler, see handle, only the handler is called and its return value is the response.
+         * Otherwise the listeners are called in order until one returns something other than undefined, which is the response.
+         * Pass a `reduce` function to call every listener instead and combine their responses, starting from the `initial` option.
+         * Responses are answers, so returning the once return value does not remove a listener and errors thrown by listeners always propagate.
+         * Listeners never receive an event object.
+         *
+         * @param {String|RegExp} evt Name of the event to request a response for.
+         * @param {Array} [args] Optional array of arguments to be passed to the responders.
+         * @param {Object} [options] Optional settings, `reduce` called with the result so far and each response, and `initial`.
+         * @return {*} The response, undefined if nobody answered.
+         */
+        requestEvent(evt, args, options) {
+            let reduce = options && options.reduce;
+            let result = reduce ? options.initial : undefined;
+
+            this._validatePayload(evt, args || []);
+
+            for (let respond of this._getResponders(evt)) {
+                let response = respond(args || []);
+                if (response === undefined) {
+                    continue;
+                }
+                if (!reduce) {
+                    return response;
+                }
+                result = reduce(result, response);
+            }
+            return result;
+        }
+
+        /**
+         * Asynchronous counterpart of requestEvent, the responses of the handler or the listeners are awaited one after another.
+         * The promise rejects with the error of a failing responder, when the `timeout` option in milliseconds elapses or when the `signal` option aborts.
+         *
+         * @param {String|RegExp} evt Name of the event to request a response for.
+         * @param {Array} [args] Optional array of arguments to be passed to the responders.
+         * @param {Object} [options] Optional settings, `reduce` and `initial` as for requestEvent, `timeout` and `signal`.
+         * @return {Promise} Resolves with the response, undefined if nobody answered.
+         */
+        requestEventAsync(evt, args, options) {
+            options = options || {};
+
+            return new Promise((resolve, reject) => {
+                let signal = options.signal;
+                let cleanups = [];
+                let settled = false;
+                let settle = (callback, value) => {
+                    if (!settled) {
+                        settled = true;
+                        cleanups.forEach(cleanup => cleanup());
+                        callback(value);
+                    }
+                };
+
+                if (signal && signal.aborted) {
+                    reject(abortError(signal));
+                    return;
+                }
+                this._validatePayload(evt, args || []);
+
+                if (options.timeout !== undefined) {
+                    let timer = setTimeout(() => {
+                        settle(reject, new Error(`Timed out after ${options.timeout}ms waiting for a response to "${String(evt)}"`));
+                    }, options.timeout);
+                    cleanups.push(() => clearTimeout(timer));
+                }
+                if (signal) {
+                    cleanups.push(this._onAbort(signal, () => settle(reject, abortError(signal))));
+                }
+
+                let reduce = options.reduce;
+                this._getResponders(evt)
+                    .reduce((chain, respond) => chain.then(state => {
+                        if (state.answered) {
+                            return state;
+                        }
+                        return Promise.resolve(respond(args || [])).then(response => {
+                            if (response === undefined) {
+                                return state;
+                            }
+                            return reduce ? { result: reduce(state.result, response) } : { result: response, answered: true };
+                        });
+                    }), Promise.resolve({ result: reduce ? options.initial : undefined }))
+                    .then(state => settle(resolve, state.result), error => settle(reject, error));
+            });
+        }
+
+        /**
+         * Collects the functions that answer a request for an event, the handler or every listener in order.
+         *
+         * @param {String|RegExp} evt Name of the requested event.
+         * @return {Function[]} Functions taking the request arguments and returning a response.
+         * @api private
+         */
+        _getResponders(evt) {
+            let handler = this._handlers.get(evt);
+            if (handler) {
+                return [args => handler.call(this, ...args)];
+            }
+            return this._getListenerQueue(evt).map(([event, listenerMap]) => args => {
+                return this._hasFired(event, listenerMap) ? undefined : this._callListener(event, listenerMap, args);
+            });
+        }
+
+        /**
+         * Takes a snapshot of every listener that should run for an emit of the specified event.
+         * Listeners added or removed while the snapshot is being executed do not affect it.
+         * With a wildcard delimiter set, listeners of every matching wildcard pattern are merged in by priority.
+         *
+         * @param {String|RegExp} evt Name of the event to collect the listeners for.
+         * @return {Array[]} Triples of the event the listener is stored under, the listener map and the emitted event name, in execution order.
+         * @api private
+         */
+        _getListenerQueue(evt) {
+            let queue = [];
+            let delimiter = this._getWildcardDelimiter();
+
+            for (let [event, listeners] of this.getListenersAsObject(evt)) {
+                for (let listenerMap of listeners) {
+                    queue.push([event, listenerMap, event]);
+                }
+            }
+
+            if (delimiter !== null && typeof evt === 'string') {
+                let name = evt.split(delimiter);
+                let wildcardCount = 0;
+
+                for (let [key, listeners] of this._events) {
+                    if (key !== evt && isWildcard(key, delimiter) && matchesWildcard(key.split(delimiter), name)) {
+                        for (let listenerMap of listeners) {
+                            queue.push([key, listenerMap, evt]);
+                            wildcardCount++;
+                        }
+                    }
+                }
+
+                if (wildcardCount) {
+                    queue = queue
+                        .map((entry, index) => [entry, index])
+                        .sort(([a, i], [b, j]) => ((b[1].get('priority') || 0) - (a[1].get('priority') || 0)) || i - j)
+                        .map(([entry]) => entry);
+                }
+            }
+
+            return queue;
+        }
+
+        /**
+         * Extends the listener snapshot of an emit to the ancestors of the emitter, see setParent.
+         * Capturing listeners of the ancestors run first, from the root down, then the listeners of this emitter and finally the other listeners of the ancestors, from the parent up.
+         *
+         * @param {String|RegExp} evt Name of the event to collect the listeners for.
+         * @return {Array[]} The emitter running the listener followed by the entries of _getListenerQueue, in execution order.
+         * @api private
+         */
+        _getPropagationQueue(evt) {
+            let ancestors = this._getAncestors();
+            let queue = [];
+            let addPhase = (emitter, capture) => {
+                for (let entry of emitter._getListenerQueue(evt)) {
+                    if (capture === null || Boolean(entry[1].get('capture')) === capture) {
+                        queue.push([emitter, ...entry]);
+                    }
+                }
+            };
+
+            ancestors.slice().reverse().forEach(ancestor => addPhase(ancestor, true));
+            addPhase(this, null);
+            ancestors.forEach(ancestor => addPhase(ancestor, false));
+            return queue;
+        }
+
+        /**
+         * Lists the parent of the emitter, its parent and so on.
+         *
+         * @return {EventEmitter[]} The ancestors, closest first.
+         * @api private
+         */
+        _getAncestors() {
+            let ancestors = [];
+            for (let emitter = this._parent; emitter; emitter = emitter._parent) {
+                ancestors.push(emitter);
+            }
+            return ancestors;
+        }
+
+        /**
+         * Creates the event object for an emit if the event object mode is enabled or the event bubbles to parent emitters.
+         *
+         * @param {String|RegExp} evt Name of the emitted event.
+         * @param {Array} args Arguments of the emit.
+         * @return {EmitterEvent|null} The event object or null when it is not needed.
+         * @api private
+         */
+        _createEventObject(evt, args) {
+            return this._getEventObjectMode() || this._parent ? new EmitterEvent(evt, args, this) : null;
+        }
+
+        /**
+         * Builds the arguments a listener is called with, prepending the event object if the event object mode of this emitter is enabled.
+         *
+         * @param {EmitterEvent|null} eventObject Event object of the current emit.
+         * @param {String} event Name of the event being emitted.
+         * @param {Array} args Arguments of the emit.
+         * @return {Array} Arguments for the listener.
+         * @api private
+         */
+        _getListenerArgs(eventObject, event, args) {
+            if (!eventObject) {
+                return args;
+            }
+            eventObject.type = event;
+            eventObject.currentTarget = this;
+            return this._getEventObjectMode() ? [eventObject, ...args] : args;
+        }
+
+        /**
+         * Checks if a listener of this emitter for the specified event may still run for the current emit.
+         *
+         * @param {EmitterEvent|null} eventObject Event object of the current emit.
+         * @param {String} event Name of the event the next listener is emitted for.
+         * @return {Boolean} True if the remaining listeners should be skipped.
+         * @api private
+         */
+        _isPropagationStopped(eventObject, event) {
+            if (!eventObject) {
+                return false;
+            }
+            return eventObject.immediatePropagationStopped || (eventObject.propagationStopped && (eventObject.type !== event || eventObject.currentTarget !== this));
+        }
+
+        /**
+         * Checks if a once or maxCalls listener from the snapshot was already removed, by a nested emit for example, so it must not run again.
+         *
+         * @param {String} event Name of the event the listener is stored under.
+         * @param {Map} listenerMap Listener map from the snapshot.
+         * @return {Boolean} True if the listener should be skipped.
+         * @api private
+         */
+        _hasFired(event, listenerMap) {
+            let spent = Boolean(listenerMap.get('once')) || listenerMap.get('calls') >= listenerMap.get('maxCalls');
+            return spent && (this._events.get(event) || []).indexOf(listenerMap) === -1;
+        }
+
+        /**
+         * Executes a single listener for an emit, or schedules the call if it is debounced or throttled.
+         *
+         * @param {String} event Name of the event the listener is attached to.
+         * @param {Map} listenerMap Listener map to execute.
+         * @param {Array} args Arguments to pass to the listener.
+         * @return {*} Whatever the listener returned, undefined if the call was deferred.
+         * @api private
+         */
+        _callListener(event, listenerMap, args) {
+            let timing = listenerMap.get('timing');
+            if (!timing) {
+                return this._invokeListener(event, listenerMap, args);
+            }
+
+            if (timing.type === 'debounce') {
+                clearTimeout(timing.timer);
+                timing.timer = setTimeout(() => {
+                    timing.timer = null;
+                    this._callDeferredListener(event, listenerMap, args);
+                }, timing.wait);
+                return undefined;
+            }
+
+            if (timing.timer) {
+                timing.pending = timing.trailing ? args : null;
+                return undefined;
+            }
+            let endPeriod = () => {
+                let pending = timing.pending;
+                timing.timer = null;
+                timing.pending = null;
+                if (pending) {
+                    timing.timer = setTimeout(endPeriod, timing.wait);
+                    this._callDeferredListener(event, listenerMap, pending);
+                }
+            };
+            timing.timer = setTimeout(endPeriod, timing.wait);
+            if (timing.leading) {
+                return this._invokeListener(event, listenerMap, args);
+            }
+            timing.pending = timing.trailing ? args : null;
+            return undefined;
+        }
+
+        /**
+         * Actually calls a listener, removing it beforehand if it was added with addOnceListener or reaches its maximum number of calls.
+         *
+         * @param {String} event Name of the event the listener is attached to.
+         * @param {Map} listenerMap Listener map to execute.
+         * @param {Array} args Arguments to pass to the listener.
+         * @return {*} Whatever the listener returned.
+         * @api private
+         */
+        _invokeListener(event, listenerMap, args) {
+            let listener = listenerMap.get('listener');
+            let calls = (listenerMap.get('calls') || 0) + 1;
+
+            listenerMap.set('calls', calls);
+            if (listenerMap.get('once') || calls >= listenerMap.get('maxCalls')) {
+                this._removeListenerMap(event, listenerMap);
+            }
+            return listener.call(listenerMap.has('context') ? listenerMap.get('context') : this, ...args);
+        }
+
+        /**
+         * Calls a debounced or throttled listener once its timer fires, outside of any emit.
+         * Errors are handled according to the error policy, the collected ones are thrown as an EmitError.
+         *
+         * @param {String} event Name of the event the listener is attached to.
+         * @param {Map} listenerMap Listener map to execute.
+         * @param {Array} args Arguments to pass to the listener.
+         * @api private
+         */
+        _callDeferredListener(event, listenerMap, args) {
+            let errors = [];
+
+            try {
+                this._settleListener(event, listenerMap, this._invokeListener(event, listenerMap, args));
+            } catch (error) {
+                this._handleListenerError(error, event, listenerMap, errors);
+            }
+            if (errors.length) {
+                throw new EmitError(`${errors.length} listener(s) failed while emitting "${String(event)}"`, errors);
+            }
+        }
+
+        /**
+         * Drops the pending call of a debounced or throttled listener that is being removed, and stops watching its abort signal.
+         *
+         * @param {Map} listenerMap Listener map being removed.
+         * @api private
+         */
+        _cancelListener(listenerMap) {
+            if (listenerMap.has('abort')) {
+                listenerMap.get('abort')();
+                listenerMap.delete('abort');
+            }
+            let timing = listenerMap.get('timing');
+            if (timing) {
+                clearTimeout(timing.timer);
+                timing.timer = null;
+                timing.pending = null;
+            }
+        }
+
+        /**
+         * Removes events along with their listeners, dropping the pending calls of those listeners.
+         *
+         * @param {Array} events Names of the events to remove.
+         * @api private
+         */
+        _deleteEvents(events) {
+            for (let event of events) {
+                (this._events.get(event) || []).forEach(listenerMap => this._cancelListener(listenerMap));
+                this._events.delete(event);
+            }
+        }
+
+        /**
+         * Deals with an error thrown by a listener according to the current error policy.
+         *
+         * @param {Error} error The thrown error.
+         * @param {String} event Name of the event that was being emitted.
+         * @param {Map} listenerMap Listener map that threw.
+         * @param {Error[]} errors Errors collected so far during the current emit.
+         * @api private
+         */
+        _handleListenerError(error, event, listenerMap, errors) {
+            let policy = this._getErrorPolicy();
+
+            if (policy === 'collect') {
+                errors.push(error);
+            } else if (policy === 'emit' && event !== 'error') {
+                this.emitEvent('error', [error, event, listenerMap.get('listener')]);
+            } else {
+                throw error;
+            }
+        }
+
+        /**
+         * Checks if any listener is attached to the specified event without initialising it.
+         *
+         * @param {String} evt Name of the event to check.
+         * @return {Boolean} True if the event has at least one listener.
+         * @api private
+         */
+        _hasOwnListeners(evt) {
+            return this._events.has(evt) && this._events.get(evt).length > 0;
+        }
+
+        /**
+         * Removes a listener whose response matches the once return value.
+         *
+         * @param {String} event Name of the event the listener is attached to.
+         * @param {Map} listenerMap Listener map that produced the response.
+         * @param {*} response Value returned by the listener.
+         * @api private
+         */
+        _settleListener(event, listenerMap, response) {
+            if (response === this._getOnceReturnValue()) {
+                this.removeListener(event, listenerMap.get('listener'), listenerMap.get('context'));
+            }
+        }
+
+        /**
+         * Removes a listener function from the specified event.
+         * When passed a regular expression as the event name, it will remove the listener from all events that match it.
+         * A listener added with a context is only removed when the same context is passed.
+         *
+         * @param {String|RegExp} evt Name of the event to remove the listener from.
+         * @param {Function} listener Method to remove from the event.
+         * @param {*} [context] Context the listener was added with.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        removeListener(evt, listener, context) {
+            var listeners = this.getListenersAsObject(evt);
+            for (var [event, eventListeners] of listeners) {
+                var index = this.indexOfListener(eventListeners, listener, context);
+                if (index !== -1) {
+                    this._removeListenerMap(event, eventListeners[index]);
+                }
+            }
+            return this;
+        }
+
+        /**
+         * Removes one exact listener map from an event, dropping its pending calls.
+         * Used wherever the registration itself is known, so a once listener never takes another registration of the same function with it.
+         *
+         * @param {String} event Name of the event the listener is attached to.
+         * @param {Map} listenerMap Listener map to remove.
+         * @return {Boolean} True if the listener map was attached and got removed.
+         * @api private
+         */
+        _removeListenerMap(event, listenerMap) {
+            let listeners = this._events.get(event) || [];
+            let index = listeners.indexOf(listenerMap);
+
+            if (index === -1) {
+                return false;
+            }
+            listeners.splice(index, 1);
+            this._cancelListener(listenerMap);
+            return true;
+        }
+
+        /**
+         * Removes every listener added with the given context, from every event. Useful to clean up after an object that subscribed its methods.
+         *
+         * @param {*} context Context the listeners were added with.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        removeListenersByContext(context) {
+            let owned = [];
+            for (let [event, listeners] of this._events) {
+                for (let listenerMap of listeners) {
+                    if (listenerMap.has('context') && listenerMap.get('context') === context) {
+                        owned.push([event, listenerMap.get('listener')]);
+                    }
+                }
+            }
+            owned.forEach(([event, listener]) => this.removeListener(event, listener, context));
+            return this;
+        }
+
+        /**
+         * Sets the current value to check against when executing listeners. If a
+         * listeners return value matches the one set here then it will be removed
+         * after execution. This value defaults to true.
+         *
+         * @param {*} value The new value to check for when executing listeners.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setOnceReturnValue(value) {
+            this._onceReturnValue = value;
+            return this;
+        }
+
+        /**
+         * Fetches the current value to check against when executing listeners. If
+         * the listeners return value matches this one then it should be removed
+         * automatically. It will return true by default.
+         *
+         * @return {*|Boolean} The current value to check for or the default, true.
+         * @api private
+         */
+        _getOnceReturnValue() {
+            if (this.hasOwnProperty('_onceReturnValue')) {
+                return this._onceReturnValue;
+            }
+            else {
+                return true;
+            }
+        }
+
+        /**
+         * Sets what emitEvent does when a listener throws.
+         * `rethrow` (the default) lets the error escape immediately, the remaining listeners are skipped.
+         * `collect` keeps calling the remaining listeners and throws a single EmitError holding every error afterwards.
+         * `emit` keeps calling the remaining listeners and emits each error as an `error` event with the error, the event name and the failing listener as arguments.
+         * Like in node, emitting `error` with this policy throws if nothing is listening to it.
+         *
+         * @param {String} policy One of `rethrow`, `collect` or `emit`.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setErrorPolicy(policy) {
+            if (errorPolicies.indexOf(policy) === -1) {
+                throw new TypeError(`Unknown error policy "${policy}", expected one of ${errorPolicies.join(', ')}`);
+            }
+            this._errorPolicy = policy;
+            return this;
+        }
+
+        /**
+         * Fetches the current error policy.
+         *
+         * @return {String} The current error policy or the default, rethrow.
+         * @api private
+         */
+        _getErrorPolicy() {
+            return this.hasOwnProperty('_errorPolicy') ? this._errorPolicy : 'rethrow';
+        }
+
+        /**
+         * Sets when deferred emits run, see emitEventDeferred.
+         * `microtask` (the default) runs them once the current task is done, `timeout` in a later task and `animationFrame` before the next repaint.
+         * A function is called with the callback to run and an object with a `schedule` method, like a ManualScheduler, gets it passed to that method.
+         *
+         * @param {String|Function|Object} scheduler One of `microtask`, `timeout` or `animationFrame`, a function or a scheduler object.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setScheduler(scheduler) {
+            toScheduler(scheduler);
+            this._scheduler = scheduler;
+            return this;
+        }
+
+        /**
+         * Fetches the current scheduler of deferred emits.
+         *
+         * @return {String|Function|Object} The current scheduler or the default, microtask.
+         * @api private
+         */
+        _getScheduler() {
+            return this.hasOwnProperty('_scheduler') ? this._scheduler : 'microtask';
+        }
+
+        /**
+         * Guards synchronous emits made by listeners while an emit of this emitter is dispatching.
+         * `maxDepth` is the number of emits of this emitter that may be nested, the first one included, a ReentrancyError is thrown beyond it.
+         * `cycles: true` throws a ReentrancyError when an event is emitted while it is already dispatching, directly or through other events and emitters.
+         * `queue: true` holds re-entrant emits back until the current dispatch is done and then emits them in order, so listeners never nest. It takes precedence over the other checks.
+         * Every queued emit is made even if one throws, their errors are thrown together as an EmitError by the emit that queued them, unless that emit failed itself.
+         * Nothing is guarded by default. Each call replaces the previous settings.
+         *
+         * @param {Object} [options] Optional settings, `maxDepth` a positive integer or Infinity, `cycles` and `queue` booleans.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setEmitGuard(options) {
+            let guard = Object.assign({}, defaultEmitGuard, options);
+
+            if (guard.maxDepth !== Infinity && (!Number.isInteger(guard.maxDepth) || guard.maxDepth < 1)) {
+                throw new RangeError(`The value of "maxDepth" is out of range. It must be a positive integer or Infinity. Received ${guard.maxDepth}`);
+            }
+            this._emitGuard = { maxDepth: guard.maxDepth, cycles: Boolean(guard.cycles), queue: Boolean(guard.queue) };
+            return this;
+        }
+
+        /**
+         * Fetches the current emit guard.
+         *
+         * @return {Object} The current emit guard or the default, which guards nothing.
+         * @api private
+         */
+        _getEmitGuard() {
+            return this.hasOwnProperty('_emitGuard') ? this._emitGuard : defaultEmitGuard;
+        }
+
+        /**
+         * Enables or disables the event object mode.
+         * When enabled every listener receives an EmitterEvent as its first argument, followed by the emitted arguments.
+         * It exposes `preventDefault()`, `stopPropagation()`, `stopImmediatePropagation()` and `defaultPrevented`, and emitEvent returns whether the default was prevented instead of the instance.
+         *
+         * @param {Boolean} enabled True to pass event objects to the listeners.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setEventObjectMode(enabled) {
+            this._eventObjectMode = Boolean(enabled);
+            return this;
+        }
+
+        /**
+         * Fetches whether the event object mode is enabled.
+         *
+         * @return {Boolean} The current mode or the default, false.
+         * @api private
+         */
+        _getEventObjectMode() {
+            return this.hasOwnProperty('_eventObjectMode') ? this._eventObjectMode : false;
+        }
+
+        /**
+         * Enables the namespace mode by setting the delimiter that separates the segments of event names, `.` for example.
+         * In this mode a listener added to a wildcard pattern such as `user.*`, `user.**` or `*.created` is stored once and runs for every matching event, even ones that were never defined.
+         * `*` matches exactly one segment, `**` matches any number of segments.
+         * Pass null to disable the mode again.
+         *
+         * @param {String|null} delimiter The namespace delimiter or null.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setWildcardDelimiter(delimiter) {
+            if (delimiter !== null && (typeof delimiter !== 'string' || delimiter === '')) {
+                throw new TypeError('Wildcard delimiter must be a non-empty string or null');
+            }
+            this._wildcardDelimiter = delimiter;
+            return this;
+        }
+
+        /**
+         * Fetches the current namespace delimiter.
+         *
+         * @return {String|null} The current delimiter or the default, null.
+         * @api private
+         */
+        _getWildcardDelimiter() {
+            return this.hasOwnProperty('_wildcardDelimiter') ? this._wildcardDelimiter : null;
+        }
+
+        /**
+         * Sets what happens when the arguments of an emit break the payload contract of the event.
+         * `throw` (the default) throws a PayloadError before any listener runs, `warn` passes the PayloadError to the warning handler and emits anyway.
+         *
+         * @param {String} policy One of `throw` or `warn`.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setValidationPolicy(policy) {
+            if (validationPolicies.indexOf(policy) === -1) {
+                throw new TypeError(`Unknown validation policy "${policy}", expected one of ${validationPolicies.join(', ')}`);
+            }
+            this._validationPolicy = policy;
+            return this;
+        }
+
+        /**
+         * Fetches the current validation policy.
+         *
+         * @return {String} The current policy or the default, throw.
+         * @api private
+         */
+        _getValidationPolicy() {
+            return this.hasOwnProperty('_validationPolicy') ? this._validationPolicy : 'throw';
+        }
+
+        /**
+         * Sets how many listeners a single event may have before a possible memory leak is reported.
+         * The warning is only reported once per event. Use 0 or Infinity to disable the check.
+         *
+         * @param {Number} n The new maximum.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setMaxListeners(n) {
+            if (typeof n !== 'number' || isNaN(n) || n < 0) {
+                throw new TypeError(`Max listeners must be a non-negative number, got ${n}`);
+            }
+            this._maxListeners = n;
+            return this;
+        }
+
+        /**
+         * Fetches the maximum number of listeners per event.
+         *
+         * @return {Number} The current maximum or the class level default, EventEmitter.defaultMaxListeners.
+         */
+        getMaxListeners() {
+            return this.hasOwnProperty('_maxListeners') ? this._maxListeners : this.constructor.defaultMaxListeners;
+        }
+
+        /**
+         * Sets the function that receives warnings, such as exceeding the max listeners or a PayloadError under the `warn` validation policy.
+         * It is called with the emitter as `this` and the warning as an Error, the max listeners one carries `emitter`, `event` and `count`.
+         *
+         * @param {Function} handler The warning handler.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setWarningHandler(handler) {
+            this._warningHandler = handler;
+            return this;
+        }
+
+        /**
+         * Fetches the current warning handler.
+         *
+         * @return {Function} The current handler or the class level default, EventEmitter.warningHandler.
+         * @api private
+         */
+        _getWarningHandler() {
+            return this.hasOwnProperty('_warningHandler') ? this._warningHandler : this.constructor.warningHandler;
+        }
+
+        /**
+         * Enables or disables recording where listeners are added, for debugging leaks with describe.
+         * Only listeners added while it is enabled have a stack trace. It is disabled by default because capturing stacks is slow.
+         *
+         * @param {Boolean} enabled True to record a stack trace for every added listener.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setCaptureStackTraces(enabled) {
+            this._captureStackTraces = Boolean(enabled);
+            return this;
+        }
+
+        /**
+         * Fetches whether stack traces are recorded for added listeners.
+         *
+         * @return {Boolean} The current setting or the default, false.
+         * @api private
+         */
+        _getCaptureStackTraces() {
+            return this.hasOwnProperty('_captureStackTraces') ? this._captureStackTraces : false;
+        }
+
+        /**
+         * Semi-alias of addListener. It will add a listener that will be
+         * automatically removed after its first execution.
+         *
+         * @param {String|RegExp} evt Name of the event to attach the listener to.
+         * @param {Function} listener Method to be called when the event is emitted. If the function returns true then it will be removed after calling.
+         * @param {Object} [options] Optional settings, the same as for addListener.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        addOnceListener(evt, listener, options) {
+            return this.addListener(evt, this._createListenerMap(listener, true, options), options);
+        }
+
+        /**
+         * Waits for the next emit of an event.
+         * When given a listener it behaves exactly like addOnceListener. Without one it returns a promise resolving with the array of emitted arguments.
+         * The promise rejects if an `error` event is emitted first, when the `timeout` option in milliseconds elapses or when the `signal` option aborts.
+         *
+         * @param {String|RegExp} evt Name of the event to wait for.
+         * @param {Function|Object} [listener] Method to add as a once listener, or the options when waiting for a promise.
+         * @param {Object} [options] Optional settings, `timeout` and `signal` when waiting for a promise, the same as for addListener otherwise.
+         * @return {Object|Promise} Current instance of EventEmitter for chaining or a promise of the emitted arguments.
+         */
+        once(evt, listener, options) {
+            if (typeof listener === 'function') {
+                return this.addOnceListener(evt, listener, options);
+            }
+            options = listener || {};
+
+            return new Promise((resolve, reject) => {
+                let signal = options.signal;
+                let cleanups = [];
+                let settled = false;
+                let settle = (callback, value) => {
+                    if (!settled) {
+                        settled = true;
+                        cleanups.forEach(cleanup => cleanup());
+                        callback(value);
+                    }
+                };
+
+                if (signal && signal.aborted) {
+                    reject(abortError(signal));
+                    return;
+                }
+
+                // A replayed emit settles the promise while its listener is added, so everything it has to clean up goes first
+                if (signal) {
+                    cleanups.push(this._onAbort(signal, () => settle(reject, abortError(signal))));
+                }
+                if (options.timeout !== undefined) {
+                    let timer = setTimeout(() => {
+                        settle(reject, new Error(`Timed out after ${options.timeout}ms waiting for "${String(evt)}"`));
+                    }, options.timeout);
+                    cleanups.push(() => clearTimeout(timer));
+                }
+                if (evt !== 'error') {
+                    let onError = (...args) => settle(reject, errorFromArgs(args));
+                    cleanups.push(() => this.removeListener('error', onError));
+                    this.addOnceListener('error', onError);
+                }
+                if (!settled) {
+                    let onEvent = (...args) => settle(resolve, args);
+                    cleanups.push(() => this.removeListener(evt, onEvent));
+                    this.addOnceListener(evt, onEvent);
+                }
+            });
+        }
+
+        /**
+         * Returns an async iterator over the emits of an event, to be used with `for await`.
+         * Each value is the array of emitted arguments. Emits are buffered while the consumer is busy, when `bufferSize` (default 100) is exceeded the `overflow` option decides what happens: `drop-oldest` (default), `drop-newest` or `error`.
+         * The iterator throws if an `error` event is emitted or the `signal` option aborts, and stops listening when the loop is left.
+         *
+         * @param {String|RegExp} evt Name of the event to iterate over.
+         * @param {Object} [options] Optional settings, `bufferSize`, `overflow` and `signal`.
+         * @return {EventIterator} The async iterator.
+         */
+        events(evt, options) {
+            return new EventIterator(this, evt, options);
+        }
+
+        /**
+         * Makes the emitter a child of another one, or detaches it when passed null.
+         * Events emitted on a child bubble up to its ancestors after its own listeners ran, unless a listener stops the propagation, see setEventObjectMode.
+         * Listeners added to an ancestor with the `capture` option run before the listeners of the child instead.
+         * Bubbling only runs the listeners of the ancestors, their middleware, payload contracts and replay buffers only apply to their own emits.
+         *
+         * @param {EventEmitter|null} parent The new parent.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        setParent(parent) {
+            for (let emitter = parent; emitter; emitter = emitter._parent) {
+                if (emitter === this) {
+                    throw new Error('An emitter can not be its own ancestor');
+                }
+            }
+
+            if (this._parent) {
+                this._parent._children.delete(this);
+            }
+            this._parent = parent || null;
+            if (this._parent) {
+                this._parent._children.add(this);
+            }
+            return this;
+        }
+
+        /**
+         * Returns the parent of the emitter, see setParent.
+         *
+         * @return {EventEmitter|null} The parent or null.
+         */
+        getParent() {
+            return this._parent;
+        }
+
+        /**
+         * Returns the children of the emitter, see setParent.
+         *
+         * @return {EventEmitter[]} The children in the order they were attached.
+         */
+        getChildren() {
+            return Array.from(this._children);
+        }
+
+        /**
+         * Creates an emitter of the same class attached as a child of this one.
+         *
+         * @return {EventEmitter} The new child.
+         */
+        createChild() {
+            return new this.constructor().setParent(this);
+        }
+
+        /**
+         * Detaches a child, its events stop bubbling to this emitter.
+         *
+         * @param {EventEmitter} child The child to detach.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        removeChild(child) {
+            if (this._children.has(child)) {
+                child.setParent(null);
+            }
+            return this;
+        }
+
+        /**
+         * Returns a stream of the emits of an event, to filter, map, debounce, merge and forward them, see EventStream.
+         * The stream adds its listener when it is subscribed to and errors when an `error` event is emitted.
+         *
+         * @param {String|RegExp} evt Name of the event to stream.
+         * @return {EventStream} The stream of the event.
+         */
+        stream(evt) {
+            return new EventStream(observer => {
+                let onEvent = (...args) => {
+                    observer.next(args);
+                };
+                this.addListener(evt, onEvent);
+                if (evt === 'error') {
+                    return () => this.removeListener(evt, onEvent);
+                }
+
+                let onError = (...args) => {
+                    observer.error(errorFromArgs(args));
+                };
+                this.addListener('error', onError);
+                return () => {
+                    this.removeListener(evt, onEvent);
+                    this.removeListener('error', onError);
+                };
+            });
+        }
+
+        /**
+         * Forwards events to another emitter, emitting them there with the same name and arguments.
+         *
+         * @param {EventEmitter} emitter The emitter to forward to.
+         * @param {String|String[]} events Name or names of the events to forward.
+         * @return {CompositeSubscription} Handle to stop forwarding with.
+         */
+        pipe(emitter, events) {
+            let subscription = new CompositeSubscription();
+            [].concat(events).forEach(evt => {
+                subscription.add(this.subscribe(evt, (...args) => {
+                    emitter.emitEvent(evt, args);
+                }));
+            });
+            return subscription;
+        }
+
+        /**
+         * Removes all listeners from a specified event.
+         * If you do not specify an event then all listeners will be removed.
+         * That means every event will be emptied.
+         * You can also pass a regex to remove all events that match it.
+         * Symbols, numbers and objects are event keys like strings are, only an undefined or null event removes everything.
+         *
+         * @param {String|Symbol|Number|Object|RegExp} [evt] Optional key of the event to remove all listeners for. Will remove from every event if not passed.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        removeEvent(evt) {
+            // Remove different things depending on the state of evt
+            if (evt === undefined || evt === null) {
+                // Remove all listeners in all events
+                this._deleteEvents(Array.from(this._events.keys()));
+            } else if (evt instanceof RegExp) {
+                let eventsToDelete = Array.from(this._events.keys()).filter(e => matchesKey(evt, e));
+                this._deleteEvents(eventsToDelete);
+            } else {
+                // Remove all listeners for the specified event, whatever its key is
+                this._deleteEvents([evt]);
+            }
+            return this;
+        }
+
+        /**
+         * Adds listeners in bulk using the manipulateListeners method.
+         * If you pass an object as the second argument you can add to multiple events at once. The object should contain key value pairs of events and listeners or listener arrays. You can also pass it an event name and an array of listeners to be added.
+         * You can also pass it a regular expression to add the array of listeners to all events that match it.
+         * Yeah, this function does quite a bit. That's probably a bad thing.
+         *
+         * @param {String|Object|RegExp} evt An event name if you will pass an array of listeners next. An object if you wish to add to multiple events at once.
+         * @param {Function[]} [listeners] An optional array of listener functions to add.
+         * @param {Object} [options] Optional settings applied to every added listener, the same as for addListener. When passing an object of events it can be given as the second argument.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        addListeners(evt, listeners, options) {
+            // Pass through to manipulateListeners
+            return this.manipulateListeners(false, evt, listeners, options);
+        };
+
+        /**
+         * Removes listeners in bulk using the manipulateListeners method.
+         * If you pass an object as the second argument you can remove from multiple events at once. The object should contain key value pairs of events and listeners or listener arrays.
+         * You can also pass it an event name and an array of listeners to be removed.
+         * You can also pass it a regular expression to remove the listeners from all events that match it.
+         *
+         * @param {String|Object|RegExp} evt An event name if you will pass an array of listeners next. An object if you wish to remove from multiple events at once.
+         * @param {Function[]} [listeners] An optional array of listener functions to remove.
+         * @param {Object} [options] Optional settings, `context` is the context the listeners were added with. When passing an object of events it can be given as the second argument.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        removeListeners(evt, listeners, options) {
+            // Pass through to manipulateListeners
+            return this.manipulateListeners(true, evt, listeners, options);
+        };
+
+        /**
+         * Edits listeners in bulk. The addListeners and removeListeners methods both use this to do their job. You should really use those instead, this is a little lower level.
+         * The first argument will determine if the listeners are removed (true) or added (false).
+         * If you pass an object as the second argument you can add/remove from multiple events at once. The object should contain key value pairs of events and listeners or listener arrays.
+         * You can also pass it an event name and an array of listeners to be added/removed.
+         * You can also pass it a regular expression to manipulate the listeners of all events that match it.
+         * A map is only read as events and listeners when no listener array follows it, so maps can be event keys too.
+         *
+         * @param {Boolean} remove True if you want to remove listeners, false if you want to add.
+         * @param {String|Object|RegExp} evt An event name if you will pass an array of listeners next. An object if you wish to add/remove from multiple events at once.
+         * @param {Function[]} [listeners] An optional array of listener functions to add/remove.
+         * @param {Object} [options] Optional settings passed on to addListener, only the `context` is used when removing.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        manipulateListeners(remove, evt, listeners, options) {
+            var multiple = remove ? this.removeListeners : this.addListeners;
+            // If evt is a map of events then pass each of its entries to this method
+            if (evt instanceof Map && !Array.isArray(listeners)) {
+                options = options || listeners;
+                for (var [event, listener] of evt) {
+                    if (typeof listener === 'function') {
+                        this._manipulateListener(remove, event, listener, options);
+                    } else if (Array.isArray(listener)) {
+                        multiple.call(this, event, listener, options);
+                    }
+                }
+            } else if (Array.isArray(listeners)) {
+                listeners.forEach(listener => this._manipulateListener(remove, evt, listener, options));
+            }
+            return this;
+        }
+
+        /**
+         * Adds or removes a single listener for manipulateListeners.
+         *
+         * @param {Boolean} remove True to remove the listener, false to add it.
+         * @param {*} evt Key of the event.
+         * @param {Function} listener The listener.
+         * @param {Object} [options] Optional settings passed on to addListener, or whose `context` is passed on to removeListener.
+         * @api private
+         */
+        _manipulateListener(remove, evt, listener, options) {
+            if (remove) {
+                this.removeListener(evt, listener, options && options.context);
+            } else {
+                this.addListener(evt, listener, options);
+            }
+        }
+
+        /**
+         * Alias of removeEvent.
+         *
+         * Added to mirror the node API.
+         */
+        removeAllListeners() {
+            return this.removeEvent(...arguments);
+        }
+
+        /**
+         * Subtly different from emitEvent in that it will pass its arguments on to the listeners, as opposed to taking a single array of arguments to pass on.
+         * As with emitEvent, you can pass a regex in place of the event name to emit to all events that match it.
+         *
+         * @param {String|RegExp} evt Name of the event to emit and execute listeners for.
+         * @param {...*} Optional additional arguments to be passed to each listener.
+         * @return {Object|Boolean} Current instance of EventEmitter for chaining, or true if a listener prevented the default in event object mode.
+         */
+        emit() {
+            let [evt, ...args] = arguments;
+            return this.emitEvent(evt, args);
+        };
+
+        /**
+         * Emits an event later instead of right away, so listeners emitting again do not run inside the current emit.
+         * When it runs is up to the scheduler, see setScheduler. The arguments are copied when scheduling.
+         * Errors thrown by the emit escape from the scheduled callback, with a ManualScheduler they are collected and thrown by its flush.
+         *
+         * @param {String|RegExp} evt Name of the event to emit and execute listeners for.
+         * @param {Array} [args] Optional array of arguments to be passed to each listener.
+         * @param {Object} [options] Optional settings, `scheduler` overrides the scheduler of the emitter and `signal` is an AbortSignal cancelling the emit before it runs.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        emitEventDeferred(evt, args, options) {
+            let scheduler = options && options.scheduler !== undefined ? options.scheduler : this._getScheduler();
+            let signal = options && options.signal;
+            let deferredArgs = (args || []).slice();
+
+            if (signal && signal.aborted) {
+                return this;
+            }
+            toScheduler(scheduler)(() => {
+                if (!signal || !signal.aborted) {
+                    this.emitEvent(evt, deferredArgs);
+                }
+            });
+            return this;
+        }
+
+        /**
+         * Deferred counterpart of emit, passes its arguments on to the listeners once the scheduler runs the emit.
+         * Use emitEventDeferred to pick a scheduler for a single emit.
+         *
+         * @param {String|RegExp} evt Name of the event to emit and execute listeners for.
+         * @param {...*} Optional additional arguments to be passed to each listener.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        emitDeferred() {
+            let [evt, ...args] = arguments;
+            return this.emitEventDeferred(evt, args);
+        }
+
+        /**
+         * Asynchronous counterpart of emit, passes its arguments on to the listeners and runs them one after another.
+         * Use emitEventAsync if you need to run the listeners in parallel.
+         *
+         * @param {String|RegExp} evt Name of the event to emit and execute listeners for.
+         * @param {...*} Optional additional arguments to be passed to each listener.
+         * @return {Promise} Resolves with an array of the listeners results.
+         */
+        emitAsync() {
+            let [evt, ...args] = arguments;
+            return this.emitEventAsync(evt, args);
+        }
+
+        /**
+         * Like requestEvent, but passes its arguments on to the responders, as opposed to taking a single array of arguments.
+         *
+         * @param {String|RegExp} evt Name of the event to request a response for.
+         * @param {...*} Optional additional arguments to be passed to the responders.
+         * @return {*} The first response, undefined if nobody answered.
+         */
+        request() {
+            let [evt, ...args] = arguments;
+            return this.requestEvent(evt, args);
+        }
+
+        /**
+         * Asynchronous counterpart of request, use requestEventAsync for a timeout or to combine the responses.
+         *
+         * @param {String|RegExp} evt Name of the event to request a response for.
+         * @param {...*} Optional additional arguments to be passed to the responders.
+         * @return {Promise} Resolves with the first response, undefined if nobody answered.
+         */
+        requestAsync() {
+            let [evt, ...args] = arguments;
+            return this.requestEventAsync(evt, args);
+        }
+
+        /**
+         * Alias of addListener
+         */
+        on() {
+            return this.addListener(...arguments);
+        }
+
+        /**
+         * Alias of emitEvent
+         */
+        trigger() {
+            return this.emitEvent(...arguments);
+        }
+
+        /**
+         * Alias of removeListener
+         */
+        off() {
+            return this.removeListener(...arguments);
+        }
+
+        /**
+         * Adds a listener to the beginning of the listener array, it runs before every other listener of the same priority.
+         *
+         * @param {String|RegExp} evt Name of the event to attach the listener to.
+         * @param {Function} listener Method to be called when the event is emitted.
+         * @param {Object} [options] Optional settings, the same as for addListener.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        prependListener(evt, listener, options) {
+            return this.addListener(evt, listener, Object.assign({}, options, { prepend: true }));
+        }
+
+        /**
+         * Adds a once listener to the beginning of the listener array, it runs before every other listener of the same priority.
+         *
+         * @param {String|RegExp} evt Name of the event to attach the listener to.
+         * @param {Function} listener Method to be called when the event is emitted.
+         * @param {Object} [options] Optional settings, the same as for addListener.
+         * @return {Object} Current instance of EventEmitter for chaining.
+         */
+        prependOnceListener(evt, listener, options) {
+            return this.addOnceListener(evt, listener, Object.assign({}, options, { prepend: true }));
+        }
+
+        /**
+         * Counts the listeners attached to an event without initialising it.
+         * If a listener is given only its occurrences are counted.
+         *
+         * @param {String} evt Name of the event to count the listeners of.
+         * @param {Function} [listener] Optional listener to look for.
+         * @return {Number} Number of attached listeners.
+         */
+        listenerCount(evt, listener) {
+            let listeners = this._events.get(evt) || [];
+            if (listener === undefined) {
+                return listeners.length;
+            }
+            return listeners.filter(map => map.get('listener') === listener).length;
+        }
+
+        /**
+         * Lists the events that currently have listeners. Events that were only defined are left out.
+         *
+         * @return {Array} Names of the events with at least one listener.
+         */
+        eventNames() {
+            return Array.from(this._events.keys()).filter(evt => this._events.get(evt).length > 0);
+        }
+
+        /**
+         * Checks for listeners without initialising any event.
+         * Pass an event name or a regular expression to only check the matching events, or nothing to check every event.
+         *
+         * @param {String|RegExp} [evt] Optional name of the event to check.
+         * @return {Boolean} True if at least one listener is attached.
+         */
+        hasListeners(evt) {
+            if (evt === undefined || evt instanceof RegExp) {
+                return this.eventNames().some(key => evt === undefined || matchesKey(evt, key));
+            }
+            return this._hasOwnListeners(evt);
+        }
+
+        /**
+         * Takes a snapshot of the attached listeners for debugging tools, without initialising any event.
+         * Every listener is described by an object with the `listener` function, its `name`, the `once`, `priority`, `capture` and `context` settings,
+         * the number of `calls` so far and the `stack` trace of its registration if stack traces were recorded, see setCaptureStackTraces.
+         * Debounced, throttled and limited listeners also have `debounce`, `throttle` or `maxCalls`.
+         *
+         * @param {String|RegExp} [evt] Optional name of the event or regular expression to describe, every event with listeners by default.
+         * @return {Map} Map of event names to arrays of listener descriptions, in execution order.
+         */
+        describe(evt) {
+            let snapshot = new Map();
+
+            for (let [event, listeners] of this._events) {
+                if (!listeners.length || (evt instanceof RegExp ? !matchesKey(evt, event) : evt !== undefined && event !== evt)) {
+                    continue;
+                }
+                snapshot.set(event, listeners.map(listenerMap => {
+                    let listener = listenerMap.get('listener');
+                    let description = {
+                        listener,
+                        name: listener.name || '(anonymous)',
+                        once: Boolean(listenerMap.get('once')),
+                        priority: listenerMap.get('priority') || 0,
+                        capture: Boolean(listenerMap.get('capture')),
+                        context: listenerMap.get('context'),
+                        calls: listenerMap.get('calls') || 0,
+                        stack: listenerMap.get('stack')
+                    };
+                    let timing = listenerMap.get('timing');
+                    if (timing) {
+                        description[timing.type] = timing.wait;
+                    }
+                    if (listenerMap.has('maxCalls')) {
+                        description.maxCalls = listenerMap.get('maxCalls');
+                    }
+                    return description;
+                }));
+            }
+            return snapshot;
+        }
+
+        /**
+         * Reverts the global {@link EventEmitter} to its previous value and returns a reference to this version.
+         *
+         * @return {Function} Non conflicting EventEmitter class.
+         */
+        static noConflict() {
+            exports.EventEmitter = originalGlobalValue;
+            return EventEmitter;
+        };
+    }
+
+    /**
+     * Drop-in replacement for node's `events` module.
+     * It follows node's semantics where they differ from EventEmitter: the same listener can be added more than once,
+     * the return value of a listener never removes it, emit returns whether the event had listeners,
+     * emitting `error` without a listener throws and the `newListener` and `removeListener` events are emitted.
+     *
+     * @class NodeEventEmitter EventEmitter behaving like node's.
+     */
+    class NodeEventEmitter extends EventEmitter {
         constructor() {
-            this._events = new Map();
+            super();
+            // A value no listener can return, so return values never remove listeners
+            this.setOnceReturnValue({});
         }
 
         /**
-         * Returns the listener array for the specified event.
-         * Will initialise the event object and listener arrays if required.
-         * Will return an object if you use a regex search. The object contains keys for each matched event. So /ba[rz]/ might return an object containing bar and baz. But only if you have either defined them with defineEvent or added some listeners to them.
-         * Each property in the object response is an array of listener functions.
+         * Adds a listener, emitting `newListener` beforehand.
          *
-         * @param {String|RegExp} evt Name of the event to return the listeners from.
-         * @return {Function[]|Object} All listener functions for the event.
+         * @param {String} evt Name of the event to attach the listener to.
+         * @param {Function} listener Method to be called when the event is emitted.
+         * @param {Object} [options] Optional settings, the same as for EventEmitter#addListener.
+         * @return {Object} Current instance of NodeEventEmitter for chaining.
          */
-        getListeners(evt) {
-            let response;
+        addListener(evt, listener, options) {
+            let fn = listener instanceof Map ? listener.get('listener') : listener;
+            checkListener(fn);
 
-            if (evt instanceof RegExp) {
-                response = new Map();
-                for (let [key, value] of this._events) {
-                    if (evt.test(key)) {
-                        response.set(key, value);
-                    }
-                }
-            } else {
-                response = this._events.get(evt) || (this._events.set(evt, []) && this._events.get(evt));
+            if (this.listenerCount('newListener')) {
+                this.emit('newListener', evt, fn);
             }
-
-            return response;
+            return super.addListener(evt, listener, options);
         }
 
         /**
-         * Adds a listener function to the specified event.
-         * The listener will not be added if it is a duplicate.
-         * If the listener returns true then it will be removed after it is called.
-         * If you pass a regular expression as the event name then the listener will be added to all events that match it.
+         * Removes the most recently added occurrence of a listener, emitting `removeListener` afterwards.
          *
-         * @param {String|RegExp} evt Name of the event to attach the listener to.
-         * @param {Function} listener Method to be called when the event is emitted. If the function returns true then it will be removed after calling.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * @param {String} evt Name of the event to remove the listener from.
+         * @param {Function} listener Method to remove from the event.
+         * @param {*} [context] Context the listener was added with.
+         * @return {Object} Current instance of NodeEventEmitter for chaining.
          */
-        addListener(evt, listener) {
-            var listeners = this.getListenersAsObject(evt);
-            let listenerIsWrapped = typeof listener == "object";
+        removeListener(evt, listener, context) {
+            checkListener(listener);
+            return super.removeListener(evt, listener, context);
+        }
 
-            for (var [key, eventListeners] of listeners) {
-                if (this.indexOfListener(eventListeners, listener) === -1) {
-                    this._events.get(key).push(listenerIsWrapped ? listener : new Map([
-                        ['listener', listener],
-                        ['once', false]
-                    ]));
-                }
+        /**
+         * Removes one exact listener map, emitting `removeListener` afterwards like node does for every removal, once listeners included.
+         *
+         * @param {String} event Name of the event the listener is attached to.
+         * @param {Map} listenerMap Listener map to remove.
+         * @return {Boolean} True if the listener map was attached and got removed.
+         * @api private
+         */
+        _removeListenerMap(event, listenerMap) {
+            let removed = super._removeListenerMap(event, listenerMap);
+            if (removed && this.listenerCount('removeListener')) {
+                this.emit('removeListener', event, listenerMap.get('listener'));
             }
-
-            return this;
+            return removed;
         }
 
         /**
-         * Fetches the requested listeners via getListeners but will always return the results inside an object. This is mainly for internal use but others may find it useful.
+         * Removes every listener of an event, or of every event, emitting `removeListener` for each of them.
          *
-         * @param {String|RegExp} evt Name of the event to return the listeners from.
-         * @return {Object} All listener functions for an event in an object.
+         * @param {String} [evt] Optional name of the event to remove all listeners for.
+         * @return {Object} Current instance of NodeEventEmitter for chaining.
          */
-        getListenersAsObject(evt) {
-            let listeners = this.getListeners(evt);
-            let response;
+        removeAllListeners(evt) {
+            if (!this.listenerCount('removeListener')) {
+                this._deleteEvents(evt === undefined ? Array.from(this._events.keys()) : [evt]);
+                return this;
+            }
 
-            if (Array.isArray(listeners)) {
-                response = new Map();
-                response.set(evt, listeners);
+            if (evt === undefined) {
+                this.eventNames()
+                    .filter(key => key !== 'removeListener')
+                    .forEach(key => this.removeAllListeners(key));
+                return this.removeAllListeners('removeListener');
             }
 
-            return response || listeners;
+            let listeners = (this._events.get(evt) || []).slice();
+            for (let i = listeners.length - 1; i >= 0; i--) {
+                this._removeListenerMap(evt, listeners[i]);
+            }
+            return this;
         }
 
         /**
-         * Finds the index of the listener for the event in its storage array.
+         * Adds a once listener. Unlike EventEmitter#once it requires a listener, use NodeEventEmitter.once to wait for a promise.
          *
-         * @param {Function[]} listeners Array of listeners to search through.
-         * @param {Function} listener Method to look for.
-         * @return {Number} Index of the specified listener, -1 if not found
-         * @api private
+         * @param {String} evt Name of the event to attach the listener to.
+         * @param {Function} listener Method to be called when the event is emitted.
+         * @param {Object} [options] Optional settings, the same as for EventEmitter#addListener.
+         * @return {Object} Current instance of NodeEventEmitter for chaining.
          */
-        indexOfListener(listeners, listener) {
-            return listeners.findIndex(map => map.get('listener') === listener);
+        once(evt, listener, options) {
+            checkListener(listener);
+            return this.addOnceListener(evt, listener, options);
         }
 
         /**
-         * Takes a list of listener objects and flattens it into a list of listener functions.
+         * Calls every listener of an event with the given arguments.
          *
-         * @param {Object[]} listeners Raw listener objects.
-         * @return {Function[]} Just the listener functions.
+         * @param {String} evt Name of the event to emit.
+         * @param {...*} args Arguments to pass to each listener.
+         * @return {Boolean} True if the event had listeners.
          */
-        flattenListeners(listeners) {
-            return listeners.map(map => map.get('listener'));
+        emit(evt, ...args) {
+            let hadListeners = this.listenerCount(evt) > 0;
+
+            if (evt === 'error' && !hadListeners) {
+                throw unhandledError(args[0]);
+            }
+            this.emitEvent(evt, args);
+            return hadListeners;
         }
 
         /**
-         * Defines an event name. This is required if you want to use a regex to add a listener to multiple events at once. If you don't do this then how do you expect it to know what event to add to? Should it just add to every possible match for a regex? No. That is scary and bad.
-         * You need to tell it what event names should be matched by a regex.
+         * Sets the maximum listener count like EventEmitter#setMaxListeners, validating it the way node does.
          *
-         * @param {String} evt Name of the event to create.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * @param {Number} n The new maximum.
+         * @return {Object} Current instance of NodeEventEmitter for chaining.
          */
-        defineEvent(evt) {
-            this.getListeners(evt);
-            return this;
+        setMaxListeners(n) {
+            if (typeof n !== 'number') {
+                let error = new TypeError(`The "n" argument must be of type number. Received type ${typeof n}`);
+                error.code = 'ERR_INVALID_ARG_TYPE';
+                throw error;
+            }
+            if (isNaN(n) || n < 0) {
+                let error = new RangeError(`The value of "n" is out of range. It must be a non-negative number. Received ${n}`);
+                error.code = 'ERR_OUT_OF_RANGE';
+                throw error;
+            }
+            return super.setMaxListeners(n);
         }
 
         /**
-         * Uses defineEvent to define multiple events.
+         * Returns a copy of the listener functions of an event.
          *
-         * @param {String[]} evts An array of event names to define.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * @param {String} evt Name of the event.
+         * @return {Function[]} The listener functions.
          */
-        defineEvents(evts) {
-            evts.forEach(e => this.defineEvent(e));
-            return this;
+        listeners(evt) {
+            return this.flattenListeners(this._events.get(evt) || []);
         }
 
         /**
-         * Emits an event of your choice.
-         * When emitted, every listener attached to that event will be executed.
-         * If you pass the optional argument array then those arguments will be passed to every listener upon execution.
-         * Because it uses `apply`, your array of arguments will be passed as if you wrote them out separately.
-         * So they will not arrive within the array on the other side, they will be separate.
-         * You can also pass a regular expression to emit to all events that match it.
+         * Returns a copy of the listeners of an event, once listeners are returned as wrappers exposing the original function as `listener`.
          *
-         * @param {String|RegExp} evt Name of the event to emit and execute listeners for.
-         * @param {Array} [args] Optional array of arguments to be passed to each listener.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * @param {String} evt Name of the event.
+         * @return {Function[]} The listener functions and once wrappers.
          */
-        emitEvent(evt, args) {
-            var listenersMap = this.getListenersAsObject(evt);
-            for (let [event, listeners] of listenersMap) {
-                let copyOfListeners = listeners.slice();
-                for (var listenerMap of copyOfListeners) {
-                    let [listener, once] = listenerMap.values();
-                    if (once) {
-                        this.removeListener(event, listener);
-                    }
-                    let response = listener.call(this, ...args || []);
-                    if (response === this._getOnceReturnValue()) {
-                        this.removeListener(evt, listener);
-                    }
+        rawListeners(evt) {
+            return (this._events.get(evt) || []).map(map => {
+                let listener = map.get('listener');
+                if (!map.get('once')) {
+                    return listener;
                 }
-            }
-            return this;
+                let context = map.has('context') ? map.get('context') : this;
+                let wrapper = (...args) => {
+                    this._removeListenerMap(evt, map);
+                    return listener.apply(context, args);
+                };
+                wrapper.listener = listener;
+                return wrapper;
+            });
         }
 
         /**
-         * Removes a listener function from the specified event.
-         * When passed a regular expression as the event name, it will remove the listener from all events that match it.
+         * Searches from the end so the most recently added occurrence of a listener is found first.
          *
-         * @param {String|RegExp} evt Name of the event to remove the listener from.
-         * @param {Function} listener Method to remove from the event.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * @param {Map[]} listeners Array of listeners to search through.
+         * @param {Function} listener Method to look for.
+         * @param {*} [context] Context the listener was added with.
+         * @return {Number} Index of the specified listener, -1 if not found
+         * @api private
          */
-        removeListener(evt, listener) {
-            var listeners = this.getListenersAsObject(evt);
-            for (var [event, eventListeners] of listeners) {
-                var index = this.indexOfListener(eventListeners, listener);
-                if (index !== -1) {
-                    this._events.get(event).splice(index, 1);
+        indexOfListener(listeners, listener, context) {
+            for (let i = listeners.length - 1; i >= 0; i--) {
+                if (listeners[i].get('listener') === listener && listeners[i].get('context') === context) {
+                    return i;
                 }
             }
-            return this;
+            return -1;
         }
 
         /**
-         * Sets the current value to check against when executing listeners. If a
-         * listeners return value matches the one set here then it will be removed
-         * after execution. This value defaults to true.
+         * Node allows the same listener to be added more than once.
          *
-         * @param {*} value The new value to check for when executing listeners.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * @return {Boolean} Always false.
+         * @api private
          */
-        setOnceReturnValue(value) {
-            this._onceReturnValue = value;
-            return this;
+        _isDuplicateListener() {
+            return false;
         }
 
         /**
-         * Fetches the current value to check against when executing listeners. If
-         * the listeners return value matches this one then it should be removed
-         * automatically. It will return true by default.
+         * Waits for the next emit of an event like node's `events.once`, see EventEmitter#once for the options.
+         * DOM style EventTargets are supported as well.
          *
-         * @return {*|Boolean} The current value to check for or the default, true.
-         * @api private
+         * @param {EventEmitter} emitter Emitter to listen to.
+         * @param {String} evt Name of the event to wait for.
+         * @param {Object} [options] Optional settings, `timeout` and `signal`.
+         * @return {Promise} Resolves with the array of emitted arguments.
          */
-        _getOnceReturnValue() {
-            if (this.hasOwnProperty('_onceReturnValue')) {
-                return this._onceReturnValue;
-            }
-            else {
-                return true;
+        static once(emitter, evt, options) {
+            if (!(emitter instanceof EventEmitter) && typeof emitter.addEventListener === 'function') {
+                return new Promise(resolve => {
+                    emitter.addEventListener(evt, (...args) => resolve(args), { once: true });
+                });
             }
+            return EventEmitter.prototype.once.call(emitter, evt, options);
         }
 
         /**
-         * Semi-alias of addListener. It will add a listener that will be
-         * automatically removed after its first execution.
+         * Counts the listeners of an event, kept for code written against node's deprecated `EventEmitter.listenerCount`.
          *
-         * @param {String|RegExp} evt Name of the event to attach the listener to.
-         * @param {Function} listener Method to be called when the event is emitted. If the function returns true then it will be removed after calling.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * @param {EventEmitter} emitter Emitter to inspect.
+         * @param {String} evt Name of the event.
+         * @return {Number} Number of attached listeners.
          */
-        addOnceListener(evt, listener) {
-            return this.addListener(evt, new Map([
-                ['listener', listener],
-                ['once', true]
-            ]));
+        static listenerCount(emitter, evt) {
+            return emitter.listenerCount(evt);
         }
+    }
+
+    // Node exposes these as the very same functions
+    NodeEventEmitter.prototype.on = NodeEventEmitter.prototype.addListener;
+    NodeEventEmitter.prototype.off = NodeEventEmitter.prototype.removeListener;
 
+    /**
+     * Connects an emitter to another one living in a different context, a worker or another window for example, over any postMessage style channel:
+     * a MessagePort, a BroadcastChannel, a Worker or a worker's global scope. Both sides create a bridge around their emitter and their end of the channel.
+     * The events named in the `events` option, or passed to forward, are sent to the other side with their arguments copied so they survive structured cloning.
+     * Incoming events are emitted on the local emitter if they pass the `accept` option, every event by default.
+     * Every event carries a message id and each emitter only emits a message once, so events never loop or arrive twice, even across several bridges.
+     *
+     * @class EventBridge Forwards events between emitters over a message channel.
+     */
+    class EventBridge {
         /**
-         * Removes all listeners from a specified event.
-         * If you do not specify an event then all listeners will be removed.
-         * That means every event will be emptied.
-         * You can also pass a regex to remove all events that match it.
-         *
-         * @param {String|RegExp} [evt] Optional name of the event to remove all listeners for. Will remove from every event if not passed.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * @param {EventEmitter} emitter The local emitter.
+         * @param {Object} port The local end of the channel, anything with postMessage and either addEventListener or on.
+         * @param {Object} [options] Optional settings, `events` is an array of event names to forward, `accept` selects the incoming events as an array of names, a RegExp or a predicate and `channel` keeps several bridges sharing a port apart.
          */
-        removeEvent(evt) {
-            var type = typeof evt;
-            // Remove different things depending on the state of evt
-            if (type === 'string') {
-                // Remove all listeners for the specified event
-                this._events.delete(evt);
-            } else if (evt instanceof RegExp) {
-                let eventsToDelete = Array.from(this._events.keys()).filter(e => evt.test());
-                eventsToDelete.forEach(en => this._events.delete(en));
+        constructor(emitter, port, options) {
+            options = options || {};
+            this._emitter = emitter;
+            this._port = port;
+            this._channel = options.channel || 'EventEmitter';
+            this._accept = options.accept || (() => true);
+            this._requestCount = 0;
+            this._pending = new Map();
+            this._forwarded = new Set();
+            this._closed = false;
+
+            // DOM style ports deliver MessageEvents, node style ones the data itself
+            if (typeof port.addEventListener === 'function') {
+                this._onMessage = event => this._receive(event.data);
+                port.addEventListener('message', this._onMessage);
+                if (typeof port.start === 'function') {
+                    port.start();
+                }
             } else {
-                // Remove all listeners in all events
-                this._events.clear();
+                this._onMessage = data => this._receive(data);
+                port.on('message', this._onMessage);
             }
-            return this;
+
+            (options.events || []).forEach(evt => this.forward(evt));
         }
 
         /**
-         * Adds listeners in bulk using the manipulateListeners method.
-         * If you pass an object as the second argument you can add to multiple events at once. The object should contain key value pairs of events and listeners or listener arrays. You can also pass it an event name and an array of listeners to be added.
-         * You can also pass it a regular expression to add the array of listeners to all events that match it.
-         * Yeah, this function does quite a bit. That's probably a bad thing.
+         * Starts forwarding an event to the other side.
          *
-         * @param {String|Object|RegExp} evt An event name if you will pass an array of listeners next. An object if you wish to add to multiple events at once.
-         * @param {Function[]} [listeners] An optional array of listener functions to add.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * @param {String} evt Name of the event to forward.
+         * @return {Object} Current instance of EventBridge for chaining.
          */
-        addListeners(evt, listeners) {
-            // Pass through to manipulateListeners
-            return this.manipulateListeners(false, evt, listeners);
-        };
+        forward(evt) {
+            if (this._forwarded.has(evt)) {
+                return this;
+            }
+            this._forwarded.add(evt);
+
+            let forwarders = bridgeForwarders.get(this._emitter);
+            if (!forwarders) {
+                forwarders = new Map();
+                bridgeForwarders.set(this._emitter, forwarders);
+            }
+
+            let forwarder = forwarders.get(evt);
+            if (!forwarder) {
+                let bridges = new Set();
+                forwarder = { bridges, listener: (...args) => EventBridge._send(this._emitter, evt, args, bridges) };
+                forwarders.set(evt, forwarder);
+                this._emitter.addListener(evt, forwarder.listener);
+            }
+            forwarder.bridges.add(this);
+            return this;
+        }
 
         /**
-         * Removes listeners in bulk using the manipulateListeners method.
-         * If you pass an object as the second argument you can remove from multiple events at once. The object should contain key value pairs of events and listeners or listener arrays.
-         * You can also pass it an event name and an array of listeners to be removed.
-         * You can also pass it a regular expression to remove the listeners from all events that match it.
+         * Requests a response from the emitter on the other side, see requestEventAsync.
+         * Rejects with the error of a failing listener, when the `timeout` option in milliseconds elapses or when the bridge is closed.
          *
-         * @param {String|Object|RegExp} evt An event name if you will pass an array of listeners next. An object if you wish to remove from multiple events at once.
-         * @param {Function[]} [listeners] An optional array of listener functions to remove.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * @param {String} evt Name of the event to emit on the other side.
+         * @param {Array} [args] Optional array of arguments to pass on.
+         * @param {Object} [options] Optional settings, `timeout`.
+         * @return {Promise} Resolves with the response of the other side.
          */
-        removeListeners(evt, listeners) {
-            // Pass through to manipulateListeners
-            return this.manipulateListeners(true, evt, listeners);
-        };
+        request(evt, args, options) {
+            if (this._closed) {
+                return Promise.reject(new Error('The bridge is closed'));
+            }
+
+            let id = ++this._requestCount;
+            let timeout = options && options.timeout;
+
+            return new Promise((resolve, reject) => {
+                let pending = { resolve, reject, timer: null };
+                if (timeout !== undefined) {
+                    pending.timer = setTimeout(() => {
+                        this._pending.delete(id);
+                        reject(new Error(`Timed out after ${timeout}ms waiting for a response to "${String(evt)}"`));
+                    }, timeout);
+                }
+                this._pending.set(id, pending);
+                this._post({ type: 'request', id, event: evt, args: toCloneable(args || []) });
+            });
+        }
 
         /**
-         * Edits listeners in bulk. The addListeners and removeListeners methods both use this to do their job. You should really use those instead, this is a little lower level.
-         * The first argument will determine if the listeners are removed (true) or added (false).
-         * If you pass an object as the second argument you can add/remove from multiple events at once. The object should contain key value pairs of events and listeners or listener arrays.
-         * You can also pass it an event name and an array of listeners to be added/removed.
-         * You can also pass it a regular expression to manipulate the listeners of all events that match it.
-         *
-         * @param {Boolean} remove True if you want to remove listeners, false if you want to add.
-         * @param {String|Object|RegExp} evt An event name if you will pass an array of listeners next. An object if you wish to add/remove from multiple events at once.
-         * @param {Function[]} [listeners] An optional array of listener functions to add/remove.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * Disconnects the bridge, removing every listener it added and rejecting the pending requests. The channel itself is left open.
          */
-        manipulateListeners(remove, evt, listeners) {
-            var single = remove ? this.removeListener : this.addListener;
-            var multiple = remove ? this.removeListeners : this.addListeners;
-            // If evt is an object then pass each of its properties to this method
-            if (typeof evt == 'object' && evt.toString() == "[object Map]") {
-                for (var [event, listener] of evt) {
-                    if (typeof listener === 'function') {
-                        single.call(this, event, listener);
-                    } else if (Array.isArray(listener)) {
-                        multiple.call(this, event, listener);
-                    }
+        close() {
+            if (this._closed) {
+                return;
+            }
+            this._closed = true;
+
+            if (typeof this._port.removeEventListener === 'function') {
+                this._port.removeEventListener('message', this._onMessage);
+            } else if (typeof this._port.off === 'function') {
+                this._port.off('message', this._onMessage);
+            }
+            let forwarders = bridgeForwarders.get(this._emitter);
+            for (let evt of this._forwarded) {
+                let forwarder = forwarders.get(evt);
+                forwarder.bridges.delete(this);
+                if (forwarder.bridges.size === 0) {
+                    forwarders.delete(evt);
+                    this._emitter.removeListener(evt, forwarder.listener);
                 }
-            } else if (Array.isArray(listeners)) {
-                listeners.forEach(listener => single.call(this, evt, listener));
             }
-            return this;
+            this._forwarded.clear();
+            for (let pending of this._pending.values()) {
+                clearTimeout(pending.timer);
+                pending.reject(new Error('The bridge is closed'));
+            }
+            this._pending.clear();
         }
 
         /**
-         * Alias of removeEvent.
+         * Posts an emitted event through every bridge forwarding it, except the one that delivered it.
+         * Events relayed from another bridge keep their message id, new ones get a fresh id.
          *
-         * Added to mirror the node API.
+         * @param {EventEmitter} emitter The emitter the event was emitted on.
+         * @param {String} evt Name of the emitted event.
+         * @param {Array} args Arguments of the emit.
+         * @param {Set} bridges The bridges forwarding the event.
+         * @api private
          */
-        removeAllListeners() {
-            return this.removeEvent(...arguments);
+        static _send(emitter, evt, args, bridges) {
+            let relayed = bridgedMessage && bridgedMessage.event === evt ? bridgedMessage : null;
+            let id = relayed ? relayed.id : `${contextId}:${++messageCount}`;
+            markSeen(emitter, id);
+            if (args[0] instanceof EmitterEvent) {
+                args = args.slice(1);
+            }
+
+            let message = { type: 'event', id, event: evt, args: toCloneable(args) };
+            for (let bridge of bridges) {
+                if (!relayed || relayed.bridge !== bridge) {
+                    bridge._post(Object.assign({}, message));
+                }
+            }
         }
 
         /**
-         * Subtly different from emitEvent in that it will pass its arguments on to the listeners, as opposed to taking a single array of arguments to pass on.
-         * As with emitEvent, you can pass a regex in place of the event name to emit to all events that match it.
+         * Posts a message tagged with the channel of this bridge.
          *
-         * @param {String|RegExp} evt Name of the event to emit and execute listeners for.
-         * @param {...*} Optional additional arguments to be passed to each listener.
-         * @return {Object} Current instance of EventEmitter for chaining.
+         * @param {Object} message The message.
+         * @api private
          */
-        emit() {
-            let [evt, ...args] = arguments;
-            return this.emitEvent(evt, args);
-        };
+        _post(message) {
+            message.channel = this._channel;
+            this._port.postMessage(message);
+        }
 
         /**
-         * Alias of addListener
+         * Handles a message from the other side.
+         *
+         * @param {Object} message The received message.
+         * @api private
          */
-        on() {
-            return this.addListener(...arguments);
+        _receive(message) {
+            if (this._closed || !message || message.channel !== this._channel) {
+                return;
+            }
+
+            if (message.type === 'event') {
+                if (isSelected(this._accept, message.event) && markSeen(this._emitter, message.id)) {
+                    this._emitBridged(message);
+                }
+            } else if (message.type === 'request') {
+                this._respond(message);
+            } else if (message.type === 'response') {
+                let pending = this._pending.get(message.id);
+                if (pending) {
+                    this._pending.delete(message.id);
+                    clearTimeout(pending.timer);
+                    if (message.error) {
+                        pending.reject(Object.assign(new Error(message.error.message), message.error));
+                    } else {
+                        pending.resolve(message.result);
+                    }
+                }
+            }
         }
 
         /**
-         * Alias of emitEvent
+         * Emits a received event locally while marking it as bridged.
+         *
+         * @param {Object} message The received event message.
+         * @api private
          */
-        trigger() {
-            return this.emitEvent(...arguments);
+        _emitBridged(message) {
+            let previousMessage = bridgedMessage;
+            bridgedMessage = { event: message.event, id: message.id, bridge: this };
+            try {
+                this._emitter.emitEvent(message.event, message.args);
+            } finally {
+                bridgedMessage = previousMessage;
+            }
         }
 
         /**
-         * Reverts the global {@link EventEmitter} to its previous value and returns a reference to this version.
+         * Answers a request of the other side with the response of the local emitter, see requestEventAsync.
          *
-         * @return {Function} Non conflicting EventEmitter class.
+         * @param {Object} message The request message.
+         * @api private
          */
-        static noConflict() {
-            exports.EventEmitter = originalGlobalValue;
-            return EventEmitter;
-        };
+        _respond(message) {
+            let reply = response => {
+                if (!this._closed) {
+                    this._post(Object.assign({ type: 'response', id: message.id }, response));
+                }
+            };
+
+            if (!isSelected(this._accept, message.event)) {
+                reply({ error: { name: 'Error', message: `The event "${message.event}" is not accepted` } });
+                return;
+            }
+            this._emitter.requestEventAsync(message.event, message.args)
+                .then(result => reply({ result: toCloneable(result) }))
+                .catch(error => reply({ error: toCloneable(error instanceof Error ? error : new Error(String(error))) }));
+        }
     }
 
+    /**
+     * Default maximum number of listeners per event for every instance, see setMaxListeners.
+     */
+    EventEmitter.defaultMaxListeners = 10;
+
+    /**
+     * Default warning handler for every instance, see setWarningHandler.
+     */
+    EventEmitter.warningHandler = function (warning) {
+        if (typeof console !== 'undefined') {
+            console.warn(`${warning.name}: ${warning.message}`);
+        }
+    };
+
+    EventEmitter.EmitError = EmitError;
+    EventEmitter.PayloadError = PayloadError;
+    EventEmitter.ReentrancyError = ReentrancyError;
+    EventEmitter.EmitterEvent = EmitterEvent;
+    EventEmitter.Subscription = Subscription;
+    EventEmitter.CompositeSubscription = CompositeSubscription;
+    EventEmitter.EventIterator = EventIterator;
+    EventEmitter.EventStream = EventStream;
+    EventEmitter.ManualScheduler = ManualScheduler;
+    EventEmitter.NodeEventEmitter = NodeEventEmitter;
+    EventEmitter.EventBridge = EventBridge;
+
     // Expose the class either via AMD, CommonJS or the global object
     if (typeof define === 'function' && define.amd) {
         define(function () {
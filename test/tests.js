@@ -17,6 +17,12 @@
         return sorted.join();
     }
 
+    function delay(ms, value) {
+        return new Promise(function (resolve) {
+            setTimeout(function () { resolve(value); }, ms);
+        });
+    }
+
     // Configure the tests
     suite('getListeners', function() {
         var ee;
@@ -143,6 +149,97 @@
 
             assert.strictEqual(count, 1);
         });
+
+        test('orders listeners by priority', function () {
+            var fn3 = function(){};
+            var fn4 = function(){};
+
+            ee.addListener('foo', fn1);
+            ee.addListener('foo', fn2, { priority: 10 });
+            ee.addListener('foo', fn3, { priority: -1 });
+            ee.addListener('foo', fn4, { priority: 10 });
+
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn2, fn4, fn1, fn3]);
+        });
+
+        test('executes higher priority listeners first', function () {
+            var check = [];
+
+            ee.addListener('foo', function() { check.push('render'); });
+            ee.addListener('foo', function() { check.push('validate'); }, { priority: 1 });
+            ee.emitEvent('foo');
+
+            assert.deepEqual(check, ['validate', 'render']);
+        });
+
+        test('rejects priorities that are not numbers', function () {
+            assert.throws(function () { ee.addListener('foo', fn1, { priority: 'high' }); }, TypeError);
+        });
+
+        test('removes the listener when the signal aborts', function () {
+            var controller = new AbortController();
+
+            ee.addListener('foo', fn1, { signal: controller.signal });
+            ee.addListener('bar', fn1, { signal: controller.signal });
+            ee.addListener('bar', fn2);
+            controller.abort();
+
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), []);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('bar')), [fn2]);
+        });
+
+        test('does not add listeners with an aborted signal', function () {
+            var controller = new AbortController();
+
+            controller.abort();
+            ee.addListener('foo', fn1, { signal: controller.signal });
+
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), []);
+        });
+
+        test('ignores the signal of a duplicate listener', function () {
+            var controller = new AbortController();
+
+            ee.addListener('foo', fn1);
+            ee.addListener('foo', fn1, { signal: controller.signal });
+            controller.abort();
+
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn1]);
+        });
+
+        test('does not remove a listener added again without the signal', function () {
+            var controller = new AbortController();
+
+            ee.addListener('foo', fn1, { signal: controller.signal });
+            ee.removeListener('foo', fn1);
+            ee.addListener('foo', fn1);
+            controller.abort();
+
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn1]);
+        });
+
+        test('stops watching the signal once the listener is removed', function () {
+            var callbacks = [];
+            var signal = {
+                aborted: false,
+                addEventListener: function (type, callback) { callbacks.push(callback); },
+                removeEventListener: function (type, callback) { callbacks.splice(callbacks.indexOf(callback), 1); }
+            };
+
+            ee.defineEvents(['bar', 'baz']);
+            ee.addListener('foo', fn1, { signal: signal });
+            ee.addOnceListener(/ba[rz]/, fn2, { signal: signal });
+            assert.lengthOf(callbacks, 3);
+
+            ee.removeListener('foo', fn1);
+            ee.emitEvent('bar');
+            assert.lengthOf(callbacks, 1);
+
+            callbacks[0]();
+            assert.lengthOf(ee.getListeners('baz'), 0);
+            ee.removeEvent();
+            assert.lengthOf(callbacks, 0);
+        });
     });
 
     suite('addOnceListener', function () {
@@ -182,6 +279,211 @@
             ee.trigger('foo');
             assert.strictEqual(counter, 1);
         });
+
+        test('accepts a signal', function () {
+            var controller = new AbortController();
+
+            ee.addOnceListener('foo', fn1, { signal: controller.signal });
+            controller.abort();
+            ee.emitEvent('foo');
+
+            assert.strictEqual(counter, 0);
+            assert.lengthOf(ee.getListeners('foo'), 0);
+        });
+
+        test('accepts a priority', function () {
+            var fn2 = function(){};
+
+            ee.addListener('foo', fn2);
+            ee.addOnceListener('foo', fn1, { priority: 1 });
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn1, fn2]);
+        });
+    });
+
+    suite('rate limited listeners', function () {
+        var ee;
+        var calls;
+        var fn1 = function() { calls.push(Array.prototype.slice.call(arguments)); };
+
+        setup(function () {
+            ee = new EventEmitter();
+            calls = [];
+        });
+
+        test('debounced listeners get the last arguments once emits stop', function () {
+            ee.addListener('foo', fn1, { debounce: 10 });
+            ee.emit('foo', 1).emit('foo', 2).emit('foo', 3);
+            assert.deepEqual(calls, []);
+
+            return delay(30).then(function () {
+                assert.deepEqual(calls, [[3]]);
+            });
+        });
+
+        test('throttled listeners run on the first and last emit of a period', function () {
+            ee.addListener('foo', fn1, { throttle: 10 });
+            ee.emit('foo', 1).emit('foo', 2).emit('foo', 3);
+            assert.deepEqual(calls, [[1]]);
+
+            return delay(40).then(function () {
+                assert.deepEqual(calls, [[1], [3]]);
+            });
+        });
+
+        test('throttling can skip the leading or trailing call', function () {
+            var leading = [];
+            ee.addListener('foo', fn1, { throttle: 10, leading: false });
+            ee.addListener('foo', function (value) { leading.push(value); }, { throttle: 10, trailing: false });
+            ee.emit('foo', 1).emit('foo', 2);
+            assert.deepEqual(calls, []);
+
+            return delay(40).then(function () {
+                assert.deepEqual(calls, [[2]]);
+                assert.deepEqual(leading, [1]);
+            });
+        });
+
+        test('removing the original function drops pending calls', function () {
+            ee.addListener('foo', fn1, { debounce: 5 });
+            ee.addListener('bar', fn1, { throttle: 5 });
+            ee.emit('foo', 1).emit('bar', 1).emit('bar', 2);
+
+            ee.removeListener('foo', fn1);
+            ee.removeEvent('bar');
+            assert.lengthOf(ee.getListeners('foo'), 0);
+
+            return delay(20).then(function () {
+                assert.deepEqual(calls, [[1]]);
+            });
+        });
+
+        test('maxCalls removes the listener after that many calls', function () {
+            ee.addListener('foo', fn1, { maxCalls: 2 });
+            ee.emit('foo', 1).emit('foo', 2).emit('foo', 3);
+
+            assert.deepEqual(calls, [[1], [2]]);
+            assert.lengthOf(ee.getListeners('foo'), 0);
+        });
+
+        test('maxCalls listeners spent by a nested emit do not run again', function () {
+            var emitted = false;
+
+            ee.addListener('foo', function () {
+                if (!emitted) {
+                    emitted = true;
+                    ee.emit('foo', 'nested');
+                }
+            });
+            ee.addListener('foo', fn1, { maxCalls: 1 });
+            ee.emit('foo', 'outer');
+
+            assert.deepEqual(calls, [['nested']]);
+            assert.lengthOf(ee.getListeners('foo'), 1);
+        });
+
+        test('maxCalls counts deferred calls', function () {
+            ee.addOnceListener('foo', fn1, { debounce: 5 });
+            ee.emit('foo', 1).emit('foo', 2);
+
+            return delay(20).then(function () {
+                ee.emit('foo', 3);
+                return delay(20);
+            }).then(function () {
+                assert.deepEqual(calls, [[2]]);
+                assert.lengthOf(ee.getListeners('foo'), 0);
+            });
+        });
+
+        test('rejects invalid options', function () {
+            assert.throws(function () {
+                ee.addListener('foo', fn1, { debounce: -1 });
+            }, TypeError);
+            assert.throws(function () {
+                ee.addListener('foo', fn1, { debounce: 1, throttle: 1 });
+            }, TypeError, 'Listener debounce and throttle cannot be combined');
+            assert.throws(function () {
+                ee.addListener('foo', fn1, { maxCalls: 0 });
+            }, TypeError);
+        });
+    });
+
+    suite('listener context', function () {
+        var ee;
+        var Widget = function (name) { this.name = name; this.calls = []; };
+        Widget.prototype.onFoo = function (value) { this.calls.push(this.name + ':' + value); };
+
+        setup(function () {
+            ee = new EventEmitter();
+        });
+
+        test('calls listeners with their context', function () {
+            var a = new Widget('a');
+            var self;
+
+            ee.addListener('foo', a.onFoo, { context: a });
+            ee.addListener('foo', function () { self = this; });
+            ee.emit('foo', 1);
+
+            assert.deepEqual(a.calls, ['a:1']);
+            assert.strictEqual(self, ee);
+        });
+
+        test('adds the same function once per context', function () {
+            var a = new Widget('a');
+            var b = new Widget('b');
+
+            ee.addListener('foo', a.onFoo, { context: a });
+            ee.addListener('foo', a.onFoo, { context: a });
+            ee.addListener('foo', b.onFoo, { context: b });
+            ee.emit('foo', 1);
+
+            assert.deepEqual(a.calls.concat(b.calls), ['a:1', 'b:1']);
+            assert.strictEqual(ee.listenerCount('foo', Widget.prototype.onFoo), 2);
+        });
+
+        test('removes listeners by function and context', function () {
+            var a = new Widget('a');
+            var b = new Widget('b');
+
+            ee.addListener('foo', a.onFoo, { context: a });
+            ee.addListener('foo', b.onFoo, { context: b });
+            ee.removeListener('foo', Widget.prototype.onFoo);
+            ee.removeListener('foo', Widget.prototype.onFoo, b);
+            ee.emit('foo', 1);
+
+            assert.deepEqual(a.calls, ['a:1']);
+            assert.deepEqual(b.calls, []);
+        });
+
+        test('removes every listener of a context', function () {
+            var a = new Widget('a');
+            var b = new Widget('b');
+            var fn = function () {};
+
+            ee.addListener('foo', a.onFoo, { context: a });
+            ee.addListener('bar', a.onFoo, { context: a });
+            ee.addListener('bar', b.onFoo, { context: b });
+            ee.addListener('bar', fn);
+            ee.removeListenersByContext(a);
+
+            assert.lengthOf(ee.getListeners('foo'), 0);
+            assert.deepEqual(ee.describe('bar').get('bar').map(function (d) { return d.context; }), [b, undefined]);
+        });
+
+        test('removes once listeners and subscriptions with their context', function () {
+            var a = new Widget('a');
+            var b = new Widget('b');
+
+            ee.addOnceListener('foo', a.onFoo, { context: a });
+            var subscription = ee.subscribe('foo', b.onFoo, { context: b });
+            ee.emit('foo', 1);
+            assert.isTrue(subscription.isActive);
+            subscription.unsubscribe();
+            ee.emit('foo', 2);
+
+            assert.deepEqual(a.calls.concat(b.calls), ['a:1', 'b:1']);
+            assert.lengthOf(ee.getListeners('foo'), 0);
+        });
     });
 
     suite('removeListener', function() {
@@ -321,6 +623,316 @@
         });
     });
 
+    suite('payload contracts', function () {
+        var ee;
+        var warnings;
+
+        setup(function() {
+            ee = new EventEmitter();
+            warnings = [];
+            ee.setWarningHandler(function (warning) {
+                warnings.push(warning);
+            });
+        });
+
+        test('checks the arity and types of an array contract', function () {
+            var check = [];
+
+            ee.defineEvent('change', { payload: ['string', Number] });
+            ee.addListener('change', function(key, value) { check.push(key, value); });
+            ee.emit('change', 'size', 42);
+
+            assert.throws(function () { ee.emit('change', 'size'); }, EventEmitter.PayloadError, /expected 2 argument/);
+            assert.throws(function () { ee.emit('change', 1, 2); }, EventEmitter.PayloadError, /argument 0 must be of type string/);
+            assert.deepEqual(check, ['size', 42]);
+        });
+
+        test('runs validator functions', function () {
+            ee.defineEvent('age', { payload: function(age) { return age >= 0 || 'age must not be negative'; } });
+
+            ee.emit('age', 3);
+            assert.throws(function () { ee.emit('age', -1); }, 'Invalid payload for "age": age must not be negative');
+        });
+
+        test('accepts object contracts through defineEvents', function () {
+            ee.defineEvents(new Map([
+                ['foo', { payload: { arity: 1 } }],
+                ['bar', { payload: { types: ['array'], validate: function(list) { return list.length > 0; } } }]
+            ]));
+
+            assert.isArray(ee._events.get('foo'));
+            assert.throws(function () { ee.emit('foo'); }, EventEmitter.PayloadError);
+            assert.throws(function () { ee.emit('bar', []); }, 'rejected by the validator');
+            ee.emit('bar', [1]);
+        });
+
+        test('reports instead of throwing under the warn policy', function () {
+            var called = false;
+
+            ee.setValidationPolicy('warn');
+            ee.defineEvent('foo', { payload: ['string'] });
+            ee.addListener('foo', function() { called = true; });
+            ee.emit('foo', 1);
+
+            assert.isTrue(called);
+            assert.lengthOf(warnings, 1);
+            assert.instanceOf(warnings[0], EventEmitter.PayloadError);
+            assert.strictEqual(warnings[0].event, 'foo');
+        });
+
+        test('rejects async emits with malformed payloads', function () {
+            ee.defineEvent('foo', { payload: [] });
+
+            return ee.emitAsync('foo', 1).then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.instanceOf(err, EventEmitter.PayloadError);
+                assert.instanceOf(err, TypeError);
+                assert.strictEqual(err.name, 'PayloadError');
+                assert.strictEqual(err.event, 'foo');
+                assert.deepEqual(err.args, [1]);
+            });
+        });
+
+        test('checks the contract of every event a regex emit matches', function () {
+            var check = [];
+
+            ee.defineEvent('foo', { payload: ['number'] });
+            ee.addListener('foo', function(value) { check.push(value); });
+            ee.addListener('bar', function(value) { check.push(value); });
+
+            assert.throws(function () { ee.emit(/fo+/, 'str'); }, EventEmitter.PayloadError, 'Invalid payload for "foo"');
+            assert.throws(function () { ee.emit(/^(foo|bar)$/, 'str'); }, EventEmitter.PayloadError);
+            ee.emit(/^(foo|bar)$/, 1);
+            assert.deepEqual(check, [1, 1]);
+
+            return ee.emitAsync(/fo+/, 'str').then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.instanceOf(err, EventEmitter.PayloadError);
+                assert.strictEqual(err.event, 'foo');
+                assert.deepEqual(check, [1, 1]);
+            });
+        });
+
+        test('rejects invalid contracts', function () {
+            assert.throws(function () { ee.defineEvent('foo', { payload: 'string' }); }, TypeError);
+            assert.throws(function () { ee.setValidationPolicy('ignore'); }, TypeError);
+        });
+    });
+
+    suite('replay', function () {
+        var ee;
+
+        setup(function () {
+            ee = new EventEmitter();
+        });
+
+        test('calls late listeners with the last emits', function () {
+            var check = [];
+            ee.defineEvent('foo', { replay: 2 });
+            ee.emit('foo', 1).emit('foo', 2).emit('foo', 3, 'x');
+
+            ee.addListener('foo', function () { check.push(Array.prototype.slice.call(arguments)); });
+            assert.deepEqual(check, [[2], [3, 'x']]);
+
+            ee.emit('foo', 4);
+            assert.deepEqual(check, [[2], [3, 'x'], [4]]);
+        });
+
+        test('sticky events replay the last emit', function () {
+            var ready;
+            ee.defineEvent('ready', { sticky: true });
+            ee.emit('ready', 'a');
+            ee.emit('ready', 'b');
+
+            ee.addListener('ready', function (value) { ready = value; });
+            assert.strictEqual(ready, 'b');
+            return ee.once('ready').then(function (args) {
+                assert.deepEqual(args, ['b']);
+            });
+        });
+
+        test('stops replaying once the listener is removed', function () {
+            var check = [];
+            ee.defineEvent('foo', { replay: 3 });
+            ee.emit('foo', 1).emit('foo', 2).emit('foo', 3);
+
+            ee.addOnceListener('foo', function (value) { check.push('once' + value); });
+            ee.addListener('foo', function (value) { check.push(value); return value === 2; });
+            assert.deepEqual(check, ['once1', 1, 2]);
+        });
+
+        test('does not replay to duplicates or events without a buffer', function () {
+            var calls = 0;
+            var listener = function () { calls++; };
+            ee.defineEvent('foo', { replay: 1 });
+            ee.emit('foo').emit('bar');
+
+            ee.addListener('foo', listener);
+            ee.addListener('foo', listener);
+            ee.addListener('bar', listener);
+            assert.strictEqual(calls, 1);
+        });
+
+        test('inspects and clears the history', function () {
+            ee.defineEvents(new Map([['foo', { replay: 2 }], ['bar', { sticky: true }]]));
+            ee.emit('foo', 1).emit('foo', 2).emit('bar', 3);
+
+            var history = ee.getHistory('foo');
+            history[0].push('changed');
+            assert.deepEqual(ee.getHistory('foo'), [[1], [2]]);
+            assert.deepEqual(ee.getHistory('baz'), []);
+
+            ee.clearHistory('foo');
+            assert.deepEqual(ee.getHistory('foo'), []);
+            assert.deepEqual(ee.getHistory('bar'), [[3]]);
+            ee.clearHistory();
+            assert.deepEqual(ee.getHistory('bar'), []);
+
+            ee.emit('foo', 4);
+            assert.deepEqual(ee.getHistory('foo'), [[4]]);
+        });
+
+        test('changes or disables the buffer size', function () {
+            ee.defineEvent('foo', { replay: 3 });
+            ee.emit('foo', 1).emit('foo', 2).emit('foo', 3);
+
+            ee.defineEvent('foo', { replay: 1 });
+            assert.deepEqual(ee.getHistory('foo'), [[3]]);
+            ee.defineEvent('foo', { replay: 0 });
+            ee.emit('foo', 4);
+            assert.deepEqual(ee.getHistory('foo'), []);
+            assert.throws(function () {
+                ee.defineEvent('foo', { replay: -1 });
+            }, RangeError);
+        });
+
+        test('cleans up after a promise settled by a replayed emit', function () {
+            var callbacks = [];
+            var signal = {
+                aborted: false,
+                addEventListener: function (type, callback) { callbacks.push(callback); },
+                removeEventListener: function (type, callback) { callbacks.splice(callbacks.indexOf(callback), 1); }
+            };
+
+            ee.setErrorPolicy('emit');
+            ee.defineEvent('ready', { sticky: true });
+            ee.emit('ready', 1);
+
+            return ee.once('ready', { timeout: 20, signal: signal }).then(function (args) {
+                assert.deepEqual(args, [1]);
+                assert.lengthOf(ee.getListeners('ready'), 0);
+                assert.lengthOf(ee.getListeners('error'), 0);
+                assert.lengthOf(callbacks, 0);
+                assert.throws(function () {
+                    ee.emit('error', new Error('unhandled'));
+                }, 'unhandled');
+            });
+        });
+
+        test('cleans up an iterator failed by replayed emits', function () {
+            ee.defineEvent('foo', { replay: 3 });
+            ee.emit('foo', 1).emit('foo', 2).emit('foo', 3);
+
+            var iterator = ee.events('foo', { bufferSize: 1, overflow: 'error' });
+            assert.lengthOf(ee.getListeners('foo'), 0);
+            assert.lengthOf(ee.getListeners('error'), 0);
+
+            return iterator.next().then(function (result) {
+                assert.deepEqual(result.value, [1]);
+                return iterator.next();
+            }).then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.match(err.message, /buffer overflow/);
+            });
+        });
+    });
+
+    suite('event keys', function() {
+        var ee;
+        var sym;
+        var token;
+        var fn1 = function(){};
+        var fn2 = function(){};
+
+        setup(function() {
+            ee = new EventEmitter();
+            sym = Symbol('private');
+            token = {};
+        });
+
+        test('emits events keyed by symbols, numbers and objects', function() {
+            var calls = [];
+            ee.addListener(sym, function(value) { calls.push(['sym', value]); });
+            ee.addListener(42, function(value) { calls.push([42, value]); });
+            ee.addListener(token, function(value) { calls.push(['token', value]); });
+
+            ee.emit(sym, 1).emit(42, 2).emit(token, 3).emit('42', 4);
+            assert.deepEqual(calls, [['sym', 1], [42, 2], ['token', 3]]);
+            assert.lengthOf(ee.getListeners(sym), 1);
+            assert.lengthOf(ee.getListeners(Symbol('private')), 0);
+            assert.lengthOf(ee.getListeners('42'), 0);
+            assert.lengthOf(ee.getListeners({}), 0);
+        });
+
+        test('removes only the given non-string event', function() {
+            ee.addListener(sym, fn1);
+            ee.addListener(token, fn2);
+            ee.addListener('foo', fn1);
+
+            ee.removeEvent(sym);
+            assert.lengthOf(ee.getListeners(sym), 0);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners(token)), [fn2]);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn1]);
+
+            ee.removeEvent(null);
+            assert.lengthOf(ee.getListeners(token), 0);
+            assert.lengthOf(ee.getListeners('foo'), 0);
+        });
+
+        test('never matches symbol or object keys with a regex', function() {
+            ee.addListener(sym, fn1);
+            ee.addListener(token, fn1);
+            ee.addListener('foo', fn2);
+
+            assert.deepEqual(ee.flattenListeners(ee.getListeners(/.*/).get('foo')), [fn2]);
+            assert.strictEqual(ee.getListeners(/.*/).size, 1);
+            ee.removeEvent(/.*/);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners(sym)), [fn1]);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners(token)), [fn1]);
+        });
+
+        test('adds and removes in bulk with non-string keys', function() {
+            ee.addListeners(new Map([[sym, fn1], [7, [fn1, fn2]]]));
+            assert.deepEqual(ee.flattenListeners(ee.getListeners(sym)), [fn1]);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners(7)), [fn1, fn2]);
+
+            ee.removeListeners(new Map([[7, [fn2]]]));
+            assert.deepEqual(ee.flattenListeners(ee.getListeners(7)), [fn1]);
+        });
+
+        test('treats a map followed by listeners as an event key', function() {
+            var key = new Map();
+            ee.addListeners(key, [fn1, fn2]);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners(key)), [fn1, fn2]);
+
+            ee.removeListeners(key, [fn1]);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners(key)), [fn2]);
+        });
+
+        test('removes context bound listeners in bulk', function() {
+            var context = {};
+            ee.addListeners(sym, [fn1, fn2], { context: context });
+            ee.removeListeners(sym, [fn1]);
+            assert.lengthOf(ee.getListeners(sym), 2);
+
+            ee.removeListeners(sym, [fn1], { context: context });
+            assert.deepEqual(ee.flattenListeners(ee.getListeners(sym)), [fn2]);
+        });
+    });
+
     suite('removeEvent', function() {
         var ee;
         var fn1 = function(){};
@@ -539,32 +1151,730 @@
         });
     });
 
-    suite('manipulateListeners', function() {
+    suite('emitEventAsync', function() {
         var ee;
-        var fn1 = function(){};
-        var fn2 = function(){};
-        var fn3 = function(){};
-        var fn4 = function(){};
-        var fn5 = function(){};
 
         setup(function() {
             ee = new EventEmitter();
         });
 
-        test('manipulates multiple with an array', function() {
-            ee.manipulateListeners(false, 'foo', [fn1, fn2, fn3, fn4, fn5]);
-            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn5, fn4, fn3, fn2, fn1].reverse());
+        test('resolves with the results of every listener', function() {
+            ee.addListener('foo', function(a) { return a + 1; });
+            ee.addListener('foo', function(a) { return delay(5, a + 2); });
 
-            ee.manipulateListeners(true, 'foo', [fn1, fn2]);
-            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn5, fn4, fn3].reverse());
+            return ee.emitEventAsync('foo', [1]).then(function (results) {
+                assert.deepEqual(results, [2, 3]);
+            });
+        });
 
-            ee.manipulateListeners(true, 'foo', [fn3, fn5]);
-            ee.manipulateListeners(false, 'foo', [fn4, fn1]);
-            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn4, fn1]);
+        test('runs listeners one after another by default', function() {
+            var check = [];
 
-            ee.manipulateListeners(true, 'foo', [fn4, fn1]);
-            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), []);
-        });
+            ee.addListener('foo', function() {
+                return delay(10).then(function () { check.push(1); });
+            });
+            ee.addListener('foo', function() { check.push(2); });
+
+            return ee.emitEventAsync('foo').then(function () {
+                assert.deepEqual(check, [1, 2]);
+            });
+        });
+
+        test('runs listeners concurrently in parallel mode', function() {
+            var check = [];
+
+            ee.addListener('foo', function() {
+                return delay(10).then(function () { check.push(1); return 'a'; });
+            });
+            ee.addListener('foo', function() { check.push(2); return 'b'; });
+
+            return ee.emitEventAsync('foo', [], { parallel: true }).then(function (results) {
+                assert.deepEqual(check, [2, 1]);
+                assert.deepEqual(results, ['a', 'b']);
+            });
+        });
+
+        test('rejects when a listener throws or rejects', function() {
+            var error = new Error('fail');
+            ee.addListener('foo', function() { throw error; });
+
+            return ee.emitEventAsync('foo').then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.strictEqual(err, error);
+            });
+        });
+
+        test('removes once listeners and those resolving with true', function() {
+            var check = [];
+
+            ee.addOnceListener('foo', function() { check.push(1); });
+            ee.addListener('foo', function() { check.push(2); return delay(1, true); });
+            ee.addListener('foo', function() { check.push(3); });
+
+            return ee.emitEventAsync('foo').then(function () {
+                return ee.emitAsync('foo');
+            }).then(function () {
+                assert.strictEqual(flattenCheck(check), '1,2,3,3');
+            });
+        });
+
+        test('emitAsync passes its arguments on to the listeners', function() {
+            ee.addListener('foo', function(a, b) { return a + b; });
+
+            return ee.emitAsync('foo', 40, 2).then(function (results) {
+                assert.deepEqual(results, [42]);
+            });
+        });
+    });
+
+    suite('setEmitGuard', function() {
+        var ee;
+
+        setup(function() {
+            ee = new EventEmitter();
+        });
+
+        test('limits the depth of nested emits', function() {
+            var depth = 0;
+            ee.setEmitGuard({ maxDepth: 3 });
+            ee.addListener('foo', function() {
+                depth++;
+                ee.emit('foo');
+            });
+
+            var error;
+            try {
+                ee.emit('foo');
+            } catch (e) {
+                error = e;
+            }
+
+            assert.instanceOf(error, EventEmitter.ReentrancyError);
+            assert.strictEqual(depth, 3);
+            assert.deepEqual(error.chain, ['foo', 'foo', 'foo', 'foo']);
+            assert.strictEqual(error.message, 'Maximum emit depth of 3 exceeded: "foo" -> "foo" -> "foo" -> "foo"');
+        });
+
+        test('allows nesting up to the depth', function() {
+            var check = [];
+            ee.setEmitGuard({ maxDepth: 2 });
+            ee.addListener('foo', function() {
+                check.push('foo');
+                ee.emit('bar');
+            });
+            ee.addListener('bar', function() { check.push('bar'); });
+
+            ee.emit('foo').emit('foo');
+            assert.deepEqual(check, ['foo', 'bar', 'foo', 'bar']);
+        });
+
+        test('names the chain of an event cycle', function() {
+            var other = new EventEmitter();
+            ee.setEmitGuard({ cycles: true });
+            ee.addListener('a', function() { ee.emit('b'); });
+            ee.addListener('b', function() { other.emit('c'); });
+            other.addListener('c', function() { ee.emit('a'); });
+
+            assert.throws(function() {
+                ee.emit('a');
+            }, EventEmitter.ReentrancyError, 'Event cycle detected: "a" -> "b" -> "c" -> "a"');
+
+            other.removeEvent('c');
+            assert.doesNotThrow(function() {
+                ee.emit('a');
+            });
+        });
+
+        test('queues re-entrant emits until the dispatch is done', function() {
+            var check = [];
+            ee.setEmitGuard({ queue: true });
+            ee.addListener('foo', function(n) {
+                check.push('start ' + n);
+                if (n < 3) {
+                    ee.emit('foo', n + 1);
+                    ee.emit('bar', n);
+                }
+                check.push('end ' + n);
+            });
+            ee.addListener('bar', function(n) { check.push('bar ' + n); });
+
+            ee.emit('foo', 1);
+            assert.deepEqual(check, ['start 1', 'end 1', 'start 2', 'end 2', 'bar 1', 'start 3', 'end 3', 'bar 2']);
+        });
+
+        test('emits the queue even if the dispatch fails', function() {
+            var check = [];
+            ee.setEmitGuard({ queue: true });
+            ee.addListener('foo', function() {
+                ee.emit('bar');
+                throw new Error('failed');
+            });
+            ee.addListener('bar', function() { check.push('bar'); });
+
+            assert.throws(function() {
+                ee.emit('foo');
+            }, 'failed');
+            assert.deepEqual(check, ['bar']);
+        });
+
+        test('throws the errors of the queued emits together', function() {
+            var first = new Error('first');
+            var second = new Error('second');
+            ee.setEmitGuard({ queue: true });
+            ee.addListener('foo', function() {
+                ee.emit('bar', first);
+                ee.emit('bar', second);
+            });
+            ee.addListener('bar', function(error) { throw error; });
+
+            try {
+                ee.emit('foo');
+                assert.fail('emit should have thrown');
+            } catch (error) {
+                assert.instanceOf(error, EventEmitter.EmitError);
+                assert.deepEqual(error.errors, [first, second]);
+            }
+        });
+
+        test('guards nothing by default and validates the depth', function() {
+            var depth = 0;
+            ee.addListener('foo', function() {
+                if (++depth < 50) {
+                    ee.emit('foo');
+                }
+            });
+            ee.emit('foo');
+            assert.strictEqual(depth, 50);
+
+            assert.throws(function() {
+                ee.setEmitGuard({ maxDepth: 0 });
+            }, RangeError);
+        });
+    });
+
+    suite('emitDeferred', function() {
+        var ee;
+        var check;
+        var scheduler;
+
+        setup(function() {
+            ee = new EventEmitter();
+            check = [];
+            scheduler = new EventEmitter.ManualScheduler();
+            ee.addListener('foo', function() { check.push(Array.from(arguments)); });
+        });
+
+        test('emits in a microtask by default', function() {
+            ee.emitDeferred('foo', 1, 2);
+            assert.deepEqual(check, []);
+
+            return Promise.resolve().then(function() {
+                assert.deepEqual(check, [[1, 2]]);
+            });
+        });
+
+        test('runs with the manual scheduler only when flushed', function() {
+            var args = [1];
+            ee.setScheduler(scheduler);
+            ee.emitDeferred('foo', 'a').emitEventDeferred('foo', args);
+            args.push(2);
+
+            assert.strictEqual(scheduler.pending, 2);
+            assert.isTrue(scheduler.runNext());
+            assert.deepEqual(check, [['a']]);
+            assert.strictEqual(scheduler.flush(), 1);
+            assert.deepEqual(check, [['a'], [1]]);
+            assert.isFalse(scheduler.runNext());
+
+            ee.emitDeferred('foo', 'b');
+            scheduler.clear();
+            assert.strictEqual(scheduler.flush(), 0);
+            assert.deepEqual(check, [['a'], [1]]);
+        });
+
+        test('lets listeners emit again after the current emit', function() {
+            ee.setScheduler(scheduler);
+            ee.addListener('foo', function(value) {
+                if (value < 3) {
+                    ee.emitDeferred('foo', value + 1);
+                }
+                check.push('end ' + value);
+            });
+
+            ee.emit('foo', 1);
+            assert.deepEqual(check, [[1], 'end 1']);
+            assert.strictEqual(scheduler.flush(), 2);
+            assert.deepEqual(check, [[1], 'end 1', [2], 'end 2', [3], 'end 3']);
+        });
+
+        test('takes a scheduler per emit', function() {
+            var scheduled = [];
+            ee.emitEventDeferred('foo', [1], { scheduler: function(callback) { scheduled.push(callback); } });
+            ee.emitEventDeferred('foo', [2], { scheduler: scheduler });
+            ee.emitEventDeferred('foo', [3], { scheduler: 'timeout' });
+            ee.emitEventDeferred('foo', [4], { scheduler: 'animationFrame' });
+
+            scheduled[0]();
+            scheduler.flush();
+            assert.deepEqual(check, [[1], [2]]);
+
+            return delay(30).then(function() {
+                assert.deepEqual(check, [[1], [2], [3], [4]]);
+            });
+        });
+
+        test('cancels an emit with an abort signal', function() {
+            var controller = new AbortController();
+            ee.emitEventDeferred('foo', [1], { scheduler: scheduler, signal: controller.signal });
+            controller.abort();
+            ee.emitEventDeferred('foo', [2], { scheduler: scheduler, signal: controller.signal });
+
+            assert.strictEqual(scheduler.pending, 1);
+            scheduler.flush();
+            assert.deepEqual(check, []);
+        });
+
+        test('throws listener errors from flush after running every callback', function() {
+            ee.setScheduler(scheduler);
+            var error = new Error('failed');
+            ee.addListener('bar', function() { throw error; });
+            ee.emitDeferred('bar').emitDeferred('foo', 1).emitDeferred('bar');
+
+            try {
+                scheduler.flush();
+                assert.fail('should have thrown');
+            } catch (err) {
+                assert.instanceOf(err, EventEmitter.EmitError);
+                assert.strictEqual(err.message, '2 scheduled callback(s) failed while flushing');
+                assert.deepEqual(err.errors, [error, error]);
+            }
+            assert.deepEqual(check, [[1]]);
+            assert.strictEqual(scheduler.pending, 0);
+        });
+
+        test('stops flushing at the limit', function() {
+            ee.setScheduler(scheduler);
+            ee.addListener('foo', function() { ee.emitDeferred('foo'); });
+            ee.emit('foo');
+
+            assert.strictEqual(scheduler.flush(5), 5);
+            assert.strictEqual(scheduler.pending, 1);
+            assert.lengthOf(check, 6);
+        });
+
+        test('rejects unknown schedulers', function() {
+            assert.throws(function() {
+                ee.setScheduler('idle');
+            }, TypeError);
+            assert.throws(function() {
+                ee.emitEventDeferred('foo', [], { scheduler: {} });
+            }, TypeError);
+        });
+    });
+
+    suite('batch', function() {
+        var ee;
+        var check;
+
+        setup(function() {
+            ee = new EventEmitter();
+            check = [];
+            ee.addListener('foo', function() { check.push(['foo'].concat(Array.from(arguments))); });
+            ee.addListener('bar', function() { check.push(['bar'].concat(Array.from(arguments))); });
+        });
+
+        test('queues emits until the batch ends', function() {
+            ee.batch(function(emitter) {
+                assert.strictEqual(emitter, ee);
+                assert.isTrue(ee.isBatching());
+                ee.emit('foo', 1).emit('bar', 2).emit('foo', 3);
+                assert.deepEqual(check, []);
+            });
+
+            assert.isFalse(ee.isBatching());
+            assert.deepEqual(check, [['foo', 1], ['bar', 2], ['foo', 3]]);
+        });
+
+        test('keeps only the last emit of events coalescing with last', function() {
+            ee.defineEvent('foo', { coalesce: 'last' });
+            ee.batch(function() {
+                ee.emit('foo', 1).emit('bar', 2).emit('foo', 3);
+            });
+
+            assert.deepEqual(check, [['foo', 3], ['bar', 2]]);
+        });
+
+        test('merges emits with a reducer', function() {
+            ee.defineEvent('foo', { coalesce: function(previous, args) { return [previous[0] + args[0]]; } });
+            ee.defineEvent('bar', { coalesce: function(previous, args) { return previous.concat(args); } });
+            ee.batch(function() {
+                ee.emit('foo', 1).emit('foo', 2).emit('bar', 'a').emit('foo', 3).emit('bar', 'b');
+            });
+
+            assert.deepEqual(check, [['foo', 6], ['bar', 'a', 'b']]);
+
+            check = [];
+            ee.defineEvent('foo', { coalesce: false });
+            ee.batch(function() {
+                ee.emit('foo', 1).emit('foo', 2);
+            });
+            assert.deepEqual(check, [['foo', 1], ['foo', 2]]);
+        });
+
+        test('flushes only when the outermost batch ends', function() {
+            ee.batch(function() {
+                ee.emit('foo', 1);
+                ee.batch(function() {
+                    ee.emit('bar', 2);
+                });
+                assert.deepEqual(check, []);
+            });
+
+            assert.deepEqual(check, [['foo', 1], ['bar', 2]]);
+        });
+
+        test('flushes and rethrows when the function throws', function() {
+            assert.throws(function() {
+                ee.batch(function() {
+                    ee.emit('foo', 1);
+                    throw new Error('failed');
+                });
+            }, 'failed');
+
+            assert.isFalse(ee.isBatching());
+            assert.deepEqual(check, [['foo', 1]]);
+        });
+
+        test('discards the emits of a failed batch when asked to', function() {
+            ee.defineEvent('foo', { coalesce: 'last' });
+            ee.batch(function() {
+                ee.emit('foo', 1);
+                assert.throws(function() {
+                    ee.batch(function() {
+                        ee.emit('foo', 2).emit('bar', 3);
+                        throw new Error('failed');
+                    }, { discardOnError: true });
+                }, 'failed');
+                ee.emit('bar', 4);
+            });
+
+            assert.deepEqual(check, [['foo', 1], ['bar', 4]]);
+        });
+
+        test('emits the whole queue even if listeners throw and collects their errors', function() {
+            var fooError = new Error('foo failed');
+            var barError = new Error('bar failed');
+            ee.addListener('foo', function() { throw fooError; });
+            ee.addListener('bar', function() { throw barError; });
+
+            try {
+                ee.batch(function() {
+                    ee.emit('foo', 1).emit('bar', 2);
+                });
+                assert.fail('should have thrown');
+            } catch (err) {
+                assert.instanceOf(err, EventEmitter.EmitError);
+                assert.strictEqual(err.message, '2 queued emit(s) failed while flushing a batch');
+                assert.deepEqual(err.errors, [fooError, barError]);
+            }
+
+            assert.deepEqual(check, [['foo', 1], ['bar', 2]]);
+        });
+
+        test('rethrows the error of the function over the ones of the flush', function() {
+            ee.addListener('foo', function() { throw new Error('listener failed during flush'); });
+
+            assert.throws(function() {
+                ee.batch(function() {
+                    ee.emit('foo', 1);
+                    throw new Error('batch body failed');
+                });
+            }, 'batch body failed');
+
+            assert.isFalse(ee.isBatching());
+            assert.deepEqual(check, [['foo', 1]]);
+        });
+
+        test('rejects invalid arguments', function() {
+            assert.throws(function() {
+                ee.batch('foo');
+            }, TypeError);
+            assert.throws(function() {
+                ee.defineEvent('foo', { coalesce: 'first' });
+            }, TypeError);
+        });
+    });
+
+    suite('use', function() {
+        var ee;
+
+        setup(function() {
+            ee = new EventEmitter();
+        });
+
+        test('runs middleware in order around the listeners', function() {
+            var check = [];
+
+            ee.use(function(context, next) {
+                check.push('a:' + context.event);
+                next();
+                check.push('a:after');
+            });
+            ee.use(function(context, next) {
+                check.push('b');
+                next();
+                check.push('b:after');
+            });
+            ee.addListener('foo', function() { check.push('listener'); });
+            ee.emit('foo');
+
+            assert.deepEqual(check, ['a:foo', 'b', 'listener', 'b:after', 'a:after']);
+        });
+
+        test('rejects asynchronous middleware on synchronous emits', function() {
+            var check = [];
+            var late;
+
+            ee.use(function(context, next) {
+                return Promise.resolve().then(function () {
+                    try {
+                        next();
+                    } catch (error) {
+                        late = error;
+                    }
+                    throw new Error('denied');
+                });
+            });
+            ee.addListener('secret', function() { check.push('listener'); });
+
+            assert.throws(function() {
+                ee.emit('secret');
+            }, TypeError, /asynchronous middleware needs emitEventAsync/);
+
+            return delay(5).then(function () {
+                assert.deepEqual(check, []);
+                assert.match(late.message, /after the synchronous emit of "secret" returned/);
+                return ee.emitAsync('secret');
+            }).then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.strictEqual(err.message, 'denied');
+            });
+        });
+
+        test('lets middleware change the event and its arguments', function() {
+            var received;
+
+            ee.use(function(context, next) {
+                context.args[0] = context.args[0] * 2;
+                context.args.push('extra');
+                if (context.event === 'old') {
+                    context.event = 'new';
+                }
+                next();
+            });
+            ee.addListener('new', function() { received = Array.prototype.slice.call(arguments); });
+
+            var args = [21];
+            ee.emitEvent('old', args);
+            assert.deepEqual(received, [42, 'extra']);
+            assert.deepEqual(args, [21]);
+        });
+
+        test('vetoes the emit when next is not called', function() {
+            var called = false;
+
+            ee.use(function(context, next) {
+                if (context.args[0] === 'secret') {
+                    next();
+                }
+            });
+            ee.addListener('foo', function() { called = true; });
+
+            assert.strictEqual(ee.emit('foo', 'wrong'), ee);
+            assert.isFalse(called);
+            assert.isTrue(ee.setEventObjectMode(true).emit('foo', 'wrong'));
+            ee.emit('foo', 'secret');
+            assert.isTrue(called);
+        });
+
+        test('throws if next is called twice', function() {
+            ee.use(function(context, next) {
+                next();
+                next();
+            });
+
+            assert.throws(function () {
+                ee.emit('foo');
+            }, Error, 'next() called multiple times');
+        });
+
+        test('waits for asynchronous middleware', function() {
+            var check = [];
+
+            ee.use(function(context, next) {
+                check.push(context.async);
+                return delay(5).then(next).then(function (results) {
+                    check.push(results);
+                });
+            });
+            ee.addListener('foo', function(a) { return a + 1; });
+
+            return ee.emitAsync('foo', 1).then(function (results) {
+                assert.deepEqual(results, [2]);
+                assert.deepEqual(check, [true, [2]]);
+            });
+        });
+
+        test('rejects when an asynchronous middleware fails or vetoes', function() {
+            var error = new Error('denied');
+            var deny = function() { throw error; };
+            ee.addListener('foo', function() { return 'called'; });
+
+            ee.use(deny);
+            return ee.emitAsync('foo').then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.strictEqual(err, error);
+                ee.removeMiddleware(deny).use(function() {});
+                return ee.emitAsync('foo');
+            }).then(function (results) {
+                assert.deepEqual(results, []);
+            });
+        });
+    });
+
+    suite('request', function() {
+        var ee;
+
+        setup(function() {
+            ee = new EventEmitter();
+        });
+
+        test('returns the first response that is not undefined', function() {
+            var check = [];
+
+            ee.addListener('canHandle', function(file) { check.push(1); });
+            ee.addListener('canHandle', function(file) { check.push(2); return file + ':2'; });
+            ee.addListener('canHandle', function(file) { check.push(3); return file + ':3'; });
+
+            assert.strictEqual(ee.request('canHandle', 'a.txt'), 'a.txt:2');
+            assert.deepEqual(check, [1, 2]);
+            assert.isUndefined(ee.request('nobody'));
+        });
+
+        test('does not remove listeners returning the once return value', function() {
+            var once = function() { return false; };
+            ee.addListener('foo', function() { return true; });
+            ee.addOnceListener('bar', once);
+
+            assert.isTrue(ee.request('foo'));
+            assert.isTrue(ee.request('foo'));
+            assert.isFalse(ee.request('bar'));
+            assert.isUndefined(ee.request('bar'));
+        });
+
+        test('reduces every response', function() {
+            ee.addListener('size', function() { return 2; });
+            ee.addListener('size', function() {});
+            ee.addListener('size', function() { return 3; });
+
+            var total = ee.requestEvent('size', [], {
+                reduce: function(sum, size) { return sum + size; },
+                initial: 1
+            });
+            assert.strictEqual(total, 6);
+        });
+
+        test('only asks the handler of an event', function() {
+            var listener = function() { return 'listener'; };
+            ee.addListener('foo', listener);
+            ee.handle('foo', function(a, b) { return a + b; });
+
+            assert.strictEqual(ee.request('foo', 40, 2), 42);
+            assert.throws(function () {
+                ee.handle('foo', listener);
+            }, Error, 'The event "foo" already has a handler');
+
+            ee.removeHandler('foo');
+            assert.strictEqual(ee.request('foo'), 'listener');
+        });
+
+        test('checks the payload contract and lets errors escape', function() {
+            ee.defineEvent('foo', { payload: ['number'] });
+            ee.addListener('foo', function() { throw new Error('fail'); });
+
+            assert.throws(function () {
+                ee.request('foo', 'x');
+            }, EventEmitter.PayloadError);
+            assert.throws(function () {
+                ee.setErrorPolicy('collect').request('foo', 1);
+            }, Error, 'fail');
+        });
+
+        test('requestAsync awaits the responses one after another', function() {
+            var check = [];
+
+            ee.addListener('foo', function() { return delay(5).then(function () { check.push(1); }); });
+            ee.addListener('foo', function(a) { check.push(2); return delay(5, a * 2); });
+            ee.addListener('foo', function() { check.push(3); return 0; });
+
+            return ee.requestAsync('foo', 21).then(function (response) {
+                assert.strictEqual(response, 42);
+                assert.deepEqual(check, [1, 2]);
+            });
+        });
+
+        test('requestEventAsync reduces, times out and rejects', function() {
+            var error = new Error('fail');
+            ee.handle('slow', function() { return delay(50, 'late'); });
+            ee.handle('broken', function() { return Promise.reject(error); });
+            ee.addListener('size', function() { return delay(1, 2); });
+            ee.addListener('size', function() { return 3; });
+
+            return ee.requestEventAsync('size', [], { reduce: function(sum, size) { return sum + size; }, initial: 0 }).then(function (total) {
+                assert.strictEqual(total, 5);
+                return ee.requestEventAsync('slow', [], { timeout: 5 });
+            }).then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.strictEqual(err.message, 'Timed out after 5ms waiting for a response to "slow"');
+                return ee.requestAsync('broken');
+            }).then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.strictEqual(err, error);
+            });
+        });
+    });
+
+    suite('manipulateListeners', function() {
+        var ee;
+        var fn1 = function(){};
+        var fn2 = function(){};
+        var fn3 = function(){};
+        var fn4 = function(){};
+        var fn5 = function(){};
+
+        setup(function() {
+            ee = new EventEmitter();
+        });
+
+        test('manipulates multiple with an array', function() {
+            ee.manipulateListeners(false, 'foo', [fn1, fn2, fn3, fn4, fn5]);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn5, fn4, fn3, fn2, fn1].reverse());
+
+            ee.manipulateListeners(true, 'foo', [fn1, fn2]);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn5, fn4, fn3].reverse());
+
+            ee.manipulateListeners(true, 'foo', [fn3, fn5]);
+            ee.manipulateListeners(false, 'foo', [fn4, fn1]);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn4, fn1]);
+
+            ee.manipulateListeners(true, 'foo', [fn4, fn1]);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), []);
+        });
 
         test('manipulates with an object', function() {
             ee.manipulateListeners(false, new Map([
@@ -663,7 +1973,14 @@
 
             assert.strictEqual(flattenCheck(check), '2,2,3,3');
         });
-    });
+
+        test('applies a priority to every added listener', function() {
+            ee.addListeners('foo', [fn1, fn2]);
+            ee.addListeners('foo', [fn3, fn4], { priority: 1 });
+            ee.addListeners(new Map([['foo', fn5]]), { priority: 2 });
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn5, fn3, fn4, fn1, fn2]);
+        });
+    });
 
     suite('removeListeners', function() {
         var ee;
@@ -781,6 +2098,1543 @@
         });
     });
 
+    suite('setErrorPolicy', function() {
+        var ee;
+        var error = new Error('fail');
+        var thrower = function() { throw error; };
+
+        setup(function () {
+            ee = new EventEmitter();
+        });
+
+        test('rethrows and skips the remaining listeners by default', function () {
+            var check = [];
+
+            ee.addListener('foo', function() { check.push(1); });
+            ee.addListener('foo', thrower);
+            ee.addListener('foo', function() { check.push(2); });
+
+            assert.throws(function () { ee.emitEvent('foo'); }, 'fail');
+            assert.deepEqual(check, [1]);
+        });
+
+        test('rejects unknown policies', function () {
+            assert.throws(function () { ee.setErrorPolicy('ignore'); }, TypeError);
+        });
+
+        test('collects errors and throws them together after every listener ran', function () {
+            var check = [];
+            var other = new Error('other');
+
+            ee.setErrorPolicy('collect');
+            ee.defineEvents(['bar', 'baz']);
+            ee.addListener('bar', thrower);
+            ee.addListener('bar', function() { check.push(1); });
+            ee.addListener('baz', function() { throw other; });
+            ee.addListener('baz', function() { check.push(2); });
+
+            try {
+                ee.emitEvent(/ba[rz]/);
+                assert.fail('should have thrown');
+            } catch (err) {
+                assert.instanceOf(err, EventEmitter.EmitError);
+                assert.instanceOf(err, Error);
+                assert.strictEqual(err.name, 'EmitError');
+                assert.strictEqual(err.message, '2 listener(s) failed while emitting "/ba[rz]/"');
+                assert.include(String(err.stack), 'failed while emitting');
+                assert.deepEqual(err.errors, [error, other]);
+            }
+            assert.deepEqual(check, [1, 2]);
+        });
+
+        test('routes errors to the error event', function () {
+            var check = [];
+            var received;
+
+            ee.setErrorPolicy('emit');
+            ee.addListener('error', function(err, event, listener) {
+                received = [err, event, listener];
+            });
+            ee.addListener('foo', thrower);
+            ee.addListener('foo', function() { check.push(1); });
+            ee.emitEvent('foo');
+
+            assert.deepEqual(received, [error, 'foo', thrower]);
+            assert.deepEqual(check, [1]);
+        });
+
+        test('throws when nothing listens to the error event', function () {
+            ee.setErrorPolicy('emit');
+            ee.addListener('foo', thrower);
+
+            assert.throws(function () { ee.emitEvent('foo'); }, 'fail');
+            assert.throws(function () { ee.emit('error', 'bad'); }, 'Unhandled error. (bad)');
+        });
+
+        test('rethrows errors thrown by error listeners', function () {
+            var other = new Error('other');
+
+            ee.setErrorPolicy('emit');
+            ee.addListener('error', function() { throw other; });
+            ee.addListener('foo', thrower);
+
+            assert.throws(function () { ee.emitEvent('foo'); }, 'other');
+        });
+    });
+
+    suite('setEventObjectMode', function() {
+        var ee;
+
+        setup(function () {
+            ee = new EventEmitter();
+            ee.setEventObjectMode(true);
+        });
+
+        test('passes an event object before the arguments', function () {
+            var received;
+
+            ee.addListener('foo', function(event, a, b) {
+                received = [event.type, event.target, event.args, a, b];
+            });
+            ee.emit('foo', 1, 2);
+
+            assert.deepEqual(received, ['foo', ee, [1, 2], 1, 2]);
+        });
+
+        test('returns whether the default was prevented', function () {
+            ee.addListener('foo', function() {});
+            assert.isFalse(ee.emit('foo'));
+
+            ee.addListener('foo', function(event) { event.preventDefault(); });
+            assert.isTrue(ee.emit('foo'));
+        });
+
+        test('stopImmediatePropagation skips every remaining listener', function () {
+            var check = [];
+
+            ee.defineEvents(['bar', 'baz']);
+            ee.addListener('bar', function(event) { check.push(1); event.stopImmediatePropagation(); });
+            ee.addListener('bar', function() { check.push(2); });
+            ee.addListener('baz', function() { check.push(3); });
+            ee.emitEvent(/ba[rz]/);
+
+            assert.deepEqual(check, [1]);
+        });
+
+        test('stopPropagation finishes the current event only', function () {
+            var check = [];
+
+            ee.defineEvents(['bar', 'baz']);
+            ee.addListener('bar', function(event) { check.push(1); event.stopPropagation(); });
+            ee.addListener('bar', function() { check.push(2); });
+            ee.addListener('baz', function() { check.push(3); });
+            ee.emitEvent(/ba[rz]/);
+
+            assert.deepEqual(check, [1, 2]);
+        });
+
+        test('is honoured by serial async emits', function () {
+            var check = [];
+
+            ee.addListener('foo', function(event) { check.push(1); event.stopImmediatePropagation(); return 'a'; });
+            ee.addListener('foo', function() { check.push(2); return 'b'; });
+
+            return ee.emitAsync('foo').then(function (results) {
+                assert.deepEqual(check, [1]);
+                assert.deepEqual(results, ['a']);
+            });
+        });
+
+        test('returns the instance when disabled', function () {
+            ee.setEventObjectMode(false);
+            ee.addListener('foo', function(a) { assert.strictEqual(a, 1); });
+            assert.strictEqual(ee.emit('foo', 1), ee);
+        });
+    });
+
+    suite('setWildcardDelimiter', function() {
+        var ee;
+
+        setup(function () {
+            ee = new EventEmitter();
+            ee.setWildcardDelimiter('.');
+        });
+
+        test('matches single segments with *', function () {
+            var check = [];
+
+            ee.addListener('user.*', function(a) { check.push(a); });
+            ee.emit('user.created', 1);
+            ee.emit('user.profile.updated', 2);
+            ee.emit('account.created', 3);
+
+            assert.deepEqual(check, [1]);
+        });
+
+        test('matches any number of segments with **', function () {
+            var check = [];
+
+            ee.addListener('user.**', function(a) { check.push(a); });
+            ee.emit('user.created', 1);
+            ee.emit('user.profile.updated', 2);
+            ee.emit('account.created', 3);
+
+            assert.deepEqual(check, [1, 2]);
+        });
+
+        test('matches leading wildcards', function () {
+            var check = [];
+
+            ee.addListener('*.created', function(a) { check.push(a); });
+            ee.emit('user.created', 1);
+            ee.emit('account.created', 2);
+            ee.emit('account.deleted', 3);
+
+            assert.deepEqual(check, [1, 2]);
+        });
+
+        test('stores the wildcard listener once', function () {
+            var fn = function(){};
+
+            ee.addListener('user.*', fn);
+            ee.emit('user.created');
+            ee.emit('user.deleted');
+
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('user.*')), [fn]);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('user.created')), []);
+        });
+
+        test('runs exact and wildcard listeners ordered by priority', function () {
+            var check = [];
+
+            ee.addListener('user.created', function() { check.push('exact'); });
+            ee.addListener('user.*', function() { check.push('wildcard'); });
+            ee.addListener('**', function() { check.push('first'); }, { priority: 1 });
+            ee.emit('user.created');
+
+            assert.deepEqual(check, ['first', 'exact', 'wildcard']);
+        });
+
+        test('removes once wildcard listeners', function () {
+            var count = 0;
+
+            ee.addOnceListener('user.*', function() { count++; });
+            ee.emit('user.created');
+            ee.emit('user.created');
+
+            assert.strictEqual(count, 1);
+            assert.lengthOf(ee.getListeners('user.*'), 0);
+        });
+
+        test('treats wildcards literally when disabled', function () {
+            var count = 0;
+
+            ee.setWildcardDelimiter(null);
+            ee.addListener('user.*', function() { count++; });
+            ee.emit('user.created');
+
+            assert.strictEqual(count, 0);
+        });
+    });
+
+    suite('subscribe', function() {
+        var ee;
+
+        setup(function () {
+            ee = new EventEmitter();
+        });
+
+        test('returns a handle that removes the listener', function () {
+            var count = 0;
+            var subscription = ee.subscribe('foo', function() { count++; });
+
+            assert.isTrue(subscription.isActive);
+            ee.emit('foo');
+            subscription.unsubscribe();
+            subscription.unsubscribe();
+            ee.emit('foo');
+
+            assert.strictEqual(count, 1);
+            assert.isFalse(subscription.isActive);
+            assert.lengthOf(ee.getListeners('foo'), 0);
+        });
+
+        test('is inactive once the listener was removed elsewhere', function () {
+            var fn = function(){};
+            var subscription = ee.subscribe('foo', fn);
+
+            ee.removeListener('foo', fn);
+            assert.isFalse(subscription.isActive);
+        });
+
+        test('supports Symbol.dispose when available', function () {
+            var subscription = ee.subscribe('foo', function(){});
+
+            if (typeof Symbol.dispose !== 'symbol') {
+                return;
+            }
+            subscription[Symbol.dispose]();
+            assert.isFalse(subscription.isActive);
+        });
+
+        test('composite subscriptions dispose every handle at once', function () {
+            var check = [];
+            var composite = new EventEmitter.CompositeSubscription(
+                ee.subscribe('foo', function() { check.push(1); })
+            );
+
+            composite.add(ee.subscribe('bar', function() { check.push(2); }));
+            composite.unsubscribe();
+            ee.emit('foo');
+            ee.emit('bar');
+
+            assert.deepEqual(check, []);
+            assert.isFalse(composite.isActive);
+        });
+
+        test('composite subscriptions dispose handles added after unsubscribing', function () {
+            var composite = new EventEmitter.CompositeSubscription();
+            var subscription = ee.subscribe('foo', function(){});
+
+            composite.unsubscribe();
+            composite.add(subscription);
+
+            assert.isFalse(subscription.isActive);
+        });
+    });
+
+    suite('once', function() {
+        var ee;
+
+        setup(function () {
+            ee = new EventEmitter();
+        });
+
+        test('adds a once listener when given a function', function () {
+            var count = 0;
+
+            assert.strictEqual(ee.once('foo', function() { count++; }), ee);
+            ee.emit('foo');
+            ee.emit('foo');
+
+            assert.strictEqual(count, 1);
+        });
+
+        test('resolves with the emitted arguments', function () {
+            var promise = ee.once('foo');
+
+            ee.emit('foo', 1, 2);
+
+            return promise.then(function (args) {
+                assert.deepEqual(args, [1, 2]);
+                assert.lengthOf(ee.getListeners('foo'), 0);
+                assert.lengthOf(ee.getListeners('error'), 0);
+            });
+        });
+
+        test('rejects when an error is emitted first', function () {
+            var error = new Error('fail');
+            var promise = ee.once('foo');
+
+            ee.emit('error', error);
+
+            return promise.then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.strictEqual(err, error);
+                assert.lengthOf(ee.getListeners('foo'), 0);
+            });
+        });
+
+        test('rejects after the timeout', function () {
+            return ee.once('foo', { timeout: 5 }).then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.match(err.message, /Timed out/);
+                assert.lengthOf(ee.getListeners('foo'), 0);
+            });
+        });
+
+        test('rejects when the signal aborts', function () {
+            var controller = new AbortController();
+            var promise = ee.once('foo', { signal: controller.signal });
+
+            controller.abort();
+
+            return promise.then(function () {
+                assert.fail('should have rejected');
+            }, function () {
+                assert.lengthOf(ee.getListeners('foo'), 0);
+            });
+        });
+    });
+
+    suite('events', function() {
+        var ee;
+
+        setup(function () {
+            ee = new EventEmitter();
+        });
+
+        test('yields every emit in order', function () {
+            var iterator = ee.events('foo');
+            var first = iterator.next();
+
+            ee.emit('foo', 1);
+            ee.emit('foo', 2);
+
+            return first.then(function (result) {
+                assert.deepEqual(result, { value: [1], done: false });
+                return iterator.next();
+            }).then(function (result) {
+                assert.deepEqual(result, { value: [2], done: false });
+            });
+        });
+
+        test('drops the oldest emits when the buffer is full', function () {
+            var iterator = ee.events('foo', { bufferSize: 2 });
+
+            ee.emit('foo', 1);
+            ee.emit('foo', 2);
+            ee.emit('foo', 3);
+
+            return iterator.next().then(function (result) {
+                assert.deepEqual(result.value, [2]);
+            });
+        });
+
+        test('can fail when the buffer overflows', function () {
+            var iterator = ee.events('foo', { bufferSize: 1, overflow: 'error' });
+
+            ee.emit('foo', 1);
+            ee.emit('foo', 2);
+
+            return iterator.next().then(function (result) {
+                assert.deepEqual(result.value, [1]);
+                return iterator.next();
+            }).then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.match(err.message, /overflow/);
+                assert.lengthOf(ee.getListeners('foo'), 0);
+            });
+        });
+
+        test('throws when an error is emitted', function () {
+            var error = new Error('fail');
+            var iterator = ee.events('foo');
+            var pending = iterator.next();
+
+            ee.emit('error', error);
+
+            return pending.then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.strictEqual(err, error);
+            });
+        });
+
+        test('stops listening on return', function () {
+            var iterator = ee.events('foo');
+            var pending = iterator.next();
+
+            return iterator.return().then(function () {
+                return pending;
+            }).then(function (result) {
+                assert.isTrue(result.done);
+                assert.lengthOf(ee.getListeners('foo'), 0);
+            });
+        });
+
+        test('is async iterable', function () {
+            var iterator = ee.events('foo');
+
+            if (typeof Symbol.asyncIterator !== 'symbol') {
+                return;
+            }
+            assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+        });
+    });
+
+    suite('stream', function() {
+        var ee;
+
+        setup(function() {
+            ee = new EventEmitter();
+        });
+
+        test('filters and maps emits on to another emitter', function() {
+            var other = new EventEmitter();
+            var received = [];
+
+            other.on('clean', function(value) { received.push(value); });
+            var subscription = ee.stream('raw')
+                .filter(function(value) { return value.trim() !== ''; })
+                .map(function(value, suffix) { return value.trim() + (suffix || ''); })
+                .to(other, 'clean');
+
+            ee.emit('raw', ' a ').emit('raw', '  ').emit('raw', 'b', '!');
+            subscription.unsubscribe();
+            ee.emit('raw', 'c');
+
+            assert.deepEqual(received, ['a', 'b!']);
+            assert.isTrue(subscription.closed);
+            assert.lengthOf(ee.getListeners('raw'), 0);
+        });
+
+        test('is lazy and listens once per subscription', function() {
+            var stream = ee.stream('foo').map(function(a) { return a * 2; });
+            var values = [];
+            assert.lengthOf(ee.getListeners('foo'), 0);
+
+            var first = stream.subscribe(function(args) { values.push(args); });
+            var second = stream.subscribe({ next: function(args) { values.push(args); } });
+            assert.lengthOf(ee.getListeners('foo'), 2);
+            ee.emit('foo', 2);
+
+            first.unsubscribe();
+            second.unsubscribe();
+            assert.deepEqual(values, [[4], [4]]);
+            assert.lengthOf(ee.getListeners('foo'), 0);
+        });
+
+        test('debounces values', function() {
+            var values = [];
+
+            ee.stream('foo').debounce(10).subscribe(function(args) { values.push(args); });
+            ee.emit('foo', 1).emit('foo', 2);
+
+            return delay(30).then(function () {
+                assert.deepEqual(values, [[2]]);
+            });
+        });
+
+        test('merges streams', function() {
+            var values = [];
+            var subscription = ee.stream('a').merge(ee.stream('b'), ee.stream('c'))
+                .subscribe(function(args) { values.push(args[0]); });
+
+            ee.emit('a', 1).emit('c', 3).emit('b', 2);
+            subscription.unsubscribe();
+            ee.emit('a', 4);
+
+            assert.deepEqual(values, [1, 3, 2]);
+            assert.strictEqual(ee.listenerCount('error'), 0);
+        });
+
+        test('errors when an error event is emitted', function() {
+            var error = new Error('fail');
+            var caught;
+
+            ee.stream('foo').filter(function() { return true; }).subscribe({
+                next: function() {},
+                error: function(err) { caught = err; }
+            });
+            ee.emit('error', error);
+
+            assert.strictEqual(caught, error);
+            assert.lengthOf(ee.getListeners('foo'), 0);
+        });
+
+        test('is an observable', function() {
+            var stream = ee.stream('foo');
+            var key = typeof Symbol === 'function' && Symbol.observable || '@@observable';
+
+            assert.instanceOf(stream, EventEmitter.EventStream);
+            assert.strictEqual(stream[key](), stream);
+        });
+    });
+
+    suite('pipe', function() {
+        test('forwards events to another emitter', function() {
+            var a = new EventEmitter();
+            var b = new EventEmitter();
+            var received = [];
+
+            b.on('foo', function(x, y) { received.push(['foo', x, y]); });
+            b.on('bar', function() { received.push(['bar']); });
+            b.on('baz', function() { received.push(['baz']); });
+
+            var subscription = a.pipe(b, ['foo', 'bar']);
+            a.emit('foo', 1, 2).emit('bar').emit('baz');
+            subscription.unsubscribe();
+            a.emit('foo');
+
+            assert.deepEqual(received, [['foo', 1, 2], ['bar']]);
+            assert.isFalse(subscription.isActive);
+        });
+
+        test('keeps forwarding when the target returns true in event object mode', function() {
+            var a = new EventEmitter();
+            var b = new EventEmitter().setEventObjectMode(true);
+            var count = 0;
+
+            b.on('foo', function(event) { count++; event.preventDefault(); });
+            a.pipe(b, 'foo');
+            a.emit('foo').emit('foo');
+
+            assert.strictEqual(count, 2);
+        });
+    });
+
+    suite('setParent', function() {
+        var root;
+        var child;
+        var check;
+
+        setup(function() {
+            root = new EventEmitter();
+            child = root.createChild();
+            check = [];
+        });
+
+        test('bubbles events up to every ancestor', function() {
+            var grandchild = child.createChild();
+
+            root.on('foo', function(a) { check.push('root:' + a); });
+            child.on('foo', function(a) { check.push('child:' + a); });
+            grandchild.on('foo', function(a) { check.push('grandchild:' + a); });
+            grandchild.emit('foo', 1);
+            child.emit('foo', 2);
+
+            assert.deepEqual(check, ['grandchild:1', 'child:1', 'root:1', 'child:2', 'root:2']);
+            assert.strictEqual(grandchild.getParent(), child);
+            assert.deepEqual(root.getChildren(), [child]);
+        });
+
+        test('runs capturing listeners first', function() {
+            var grandchild = child.createChild();
+
+            root.on('foo', function() { check.push('root'); });
+            root.on('foo', function() { check.push('root:capture'); }, { capture: true });
+            child.on('foo', function() { check.push('child:capture'); }, { capture: true });
+            grandchild.on('foo', function() { check.push('grandchild'); });
+            grandchild.emit('foo');
+
+            assert.deepEqual(check, ['root:capture', 'child:capture', 'grandchild', 'root']);
+        });
+
+        test('stops bubbling when propagation is stopped', function() {
+            child.setEventObjectMode(true);
+            root.on('foo', function() { check.push('root'); });
+            child.on('foo', function(event, a) {
+                check.push(event.target === child && event.currentTarget === child && a);
+                event.stopPropagation();
+            });
+            child.on('foo', function() { check.push('child'); });
+
+            child.emit('foo', 'a');
+            assert.deepEqual(check, ['a', 'child']);
+        });
+
+        test('passes event objects to ancestors using the event object mode', function() {
+            root.setEventObjectMode(true);
+            root.on('foo', function(event, a) {
+                check.push(event.target === child, event.currentTarget === root, a);
+                event.preventDefault();
+            });
+            child.on('foo', function(a) { check.push(a); });
+
+            assert.strictEqual(child.emit('foo', 'a'), child);
+            assert.deepEqual(check, ['a', true, true, 'a']);
+        });
+
+        test('lets ancestors handle errors', function() {
+            var error = new Error('fail');
+            child.setErrorPolicy('emit');
+            root.on('error', function(err) { check.push(err); });
+
+            child.emit('error', error);
+            assert.deepEqual(check, [error]);
+        });
+
+        test('detaches children', function() {
+            root.on('foo', function() { check.push('root'); });
+            root.removeChild(child);
+            child.emit('foo');
+
+            var other = new EventEmitter();
+            child.setParent(other);
+            other.on('foo', function() { check.push('other'); });
+            child.emit('foo');
+
+            assert.deepEqual(check, ['other']);
+            assert.isNull(root.getChildren()[0] || null);
+            assert.deepEqual(other.getChildren(), [child]);
+        });
+
+        test('bubbles asynchronous emits', function() {
+            root.on('foo', function(a) { return 'root:' + a; });
+            child.on('foo', function(a) { return 'child:' + a; });
+
+            return child.emitAsync('foo', 1).then(function (results) {
+                assert.deepEqual(results, ['child:1', 'root:1']);
+            });
+        });
+
+        test('refuses cycles', function() {
+            assert.throws(function () {
+                root.setParent(child);
+            }, Error, 'An emitter can not be its own ancestor');
+            assert.throws(function () {
+                root.setParent(root);
+            }, Error);
+        });
+    });
+
+    suite('setMaxListeners', function() {
+        var ee;
+        var warnings;
+
+        setup(function () {
+            ee = new EventEmitter();
+            warnings = [];
+            ee.setWarningHandler(function (warning) {
+                warnings.push(warning);
+            });
+        });
+
+        function addListeners(evt, count) {
+            for (var i = 0; i < count; i++) {
+                ee.addListener(evt, function(){});
+            }
+        }
+
+        test('defaults to the class level maximum', function () {
+            assert.strictEqual(ee.getMaxListeners(), EventEmitter.defaultMaxListeners);
+            ee.setMaxListeners(3);
+            assert.strictEqual(ee.getMaxListeners(), 3);
+        });
+
+        test('warns once when an event exceeds the maximum', function () {
+            ee.setMaxListeners(2);
+            addListeners('foo', 2);
+            assert.lengthOf(warnings, 0);
+
+            addListeners('foo', 2);
+            assert.lengthOf(warnings, 1);
+            assert.strictEqual(warnings[0].name, 'MaxListenersExceededWarning');
+            assert.strictEqual(warnings[0].event, 'foo');
+            assert.strictEqual(warnings[0].count, 3);
+            assert.strictEqual(warnings[0].emitter, ee);
+            assert.isString(warnings[0].stack);
+
+            addListeners('bar', 3);
+            assert.lengthOf(warnings, 2);
+        });
+
+        test('can be disabled with zero', function () {
+            ee.setMaxListeners(0);
+            addListeners('foo', EventEmitter.defaultMaxListeners + 1);
+            assert.lengthOf(warnings, 0);
+        });
+
+        test('rejects invalid maximums', function () {
+            assert.throws(function () { ee.setMaxListeners(-1); }, TypeError);
+        });
+    });
+
+    suite('node style methods', function() {
+        var ee;
+        var fn1 = function(){};
+        var fn2 = function(){};
+        var fn3 = function(){};
+
+        setup(function () {
+            ee = new EventEmitter();
+        });
+
+        test('off removes listeners', function () {
+            ee.on('foo', fn1);
+            ee.off('foo', fn1);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), []);
+        });
+
+        test('prependListener adds before listeners of the same priority', function () {
+            ee.addListener('foo', fn1);
+            ee.addListener('foo', fn2, { priority: 1 });
+            ee.prependListener('foo', fn3);
+            assert.deepEqual(ee.flattenListeners(ee.getListeners('foo')), [fn2, fn3, fn1]);
+        });
+
+        test('prependOnceListener adds a once listener first', function () {
+            var check = [];
+
+            ee.addListener('foo', function() { check.push(1); });
+            ee.prependOnceListener('foo', function() { check.push(2); });
+            ee.emit('foo');
+            ee.emit('foo');
+
+            assert.deepEqual(check, [2, 1, 1]);
+        });
+
+        test('listenerCount and eventNames do not define events', function () {
+            ee.addListener('foo', fn1);
+            ee.addListener('foo', fn2);
+            ee.defineEvent('bar');
+
+            assert.strictEqual(ee.listenerCount('foo'), 2);
+            assert.strictEqual(ee.listenerCount('foo', fn1), 1);
+            assert.strictEqual(ee.listenerCount('baz'), 0);
+            assert.deepEqual(ee.eventNames(), ['foo']);
+            assert.isFalse(ee._events.has('baz'));
+        });
+
+        test('once listeners do not run twice when re-emitted from a listener', function () {
+            var count = 0;
+
+            ee.addOnceListener('foo', function() { ee.emit('foo'); });
+            ee.addOnceListener('foo', function() { count++; });
+            ee.emit('foo');
+
+            assert.strictEqual(count, 1);
+        });
+    });
+
+    suite('introspection', function() {
+        var ee;
+        function named() {}
+
+        setup(function() {
+            ee = new EventEmitter();
+        });
+
+        test('hasListeners does not initialise events', function() {
+            assert.isFalse(ee.hasListeners());
+            assert.isFalse(ee.hasListeners('foo'));
+            assert.isFalse(ee.hasListeners(/fo/));
+            assert.deepEqual(Array.from(ee._events.keys()), []);
+
+            ee.addListener('foo', named);
+            assert.isTrue(ee.hasListeners());
+            assert.isTrue(ee.hasListeners('foo'));
+            assert.isTrue(ee.hasListeners(/fo/));
+            assert.isFalse(ee.hasListeners(/bar/));
+        });
+
+        test('describe lists the listeners of every event', function() {
+            ee.addListener('foo', named);
+            ee.addOnceListener('foo', function() {}, { priority: 2, capture: true });
+            ee.addListener('bar', named, { throttle: 10, maxCalls: 3 });
+            ee.defineEvent('baz');
+
+            var snapshot = ee.describe();
+            assert.deepEqual(Array.from(snapshot.keys()), ['foo', 'bar']);
+            assert.deepEqual(snapshot.get('foo').map(function(d) { return [d.name, d.once, d.priority, d.capture, d.calls]; }), [
+                ['(anonymous)', true, 2, true, 0],
+                ['named', false, 0, false, 0]
+            ]);
+            assert.strictEqual(snapshot.get('foo')[1].listener, named);
+            assert.strictEqual(snapshot.get('bar')[0].throttle, 10);
+            assert.strictEqual(snapshot.get('bar')[0].maxCalls, 3);
+            assert.isUndefined(snapshot.get('foo')[0].stack);
+        });
+
+        test('describe counts calls and can be limited to some events', function() {
+            ee.addListener('foo', named);
+            ee.addListener('bar', named);
+            ee.emit('foo').emit('foo').emit('bar');
+
+            assert.strictEqual(ee.describe('foo').get('foo')[0].calls, 2);
+            assert.deepEqual(Array.from(ee.describe(/ba/).keys()), ['bar']);
+            assert.strictEqual(ee.describe('nope').size, 0);
+            assert.isFalse(ee._events.has('nope'));
+        });
+
+        test('records where listeners were added when enabled', function() {
+            function addedHere() {
+                ee.addListener('foo', named);
+            }
+            ee.setCaptureStackTraces(true);
+            addedHere();
+            ee.setCaptureStackTraces(false).addListener('bar', named);
+
+            assert.include(ee.describe('foo').get('foo')[0].stack, 'addedHere');
+            assert.isUndefined(ee.describe('bar').get('bar')[0].stack);
+        });
+    });
+
+    suite('tracing', function() {
+        var ee;
+        function first() {}
+
+        setup(function() {
+            ee = new EventEmitter();
+        });
+
+        test('is disabled by default', function() {
+            ee.addListener('foo', first);
+            ee.emit('foo');
+            assert.deepEqual(ee.getTrace(), []);
+        });
+
+        test('records emits in a ring buffer', function() {
+            ee.setTraceBufferSize(2);
+            ee.addListener('foo', first);
+            ee.emit('foo', 1).emit('foo', 'x', { a: 1 }, [1, 2], first, new TypeError('bad')).emit('bar');
+
+            var trace = ee.getTrace();
+            assert.lengthOf(trace, 2);
+            assert.strictEqual(trace[0].event, 'foo');
+            assert.deepEqual(trace[0].args, ['x', '[Object]', '[Array(2)]', '[Function first]', '[TypeError: bad]']);
+            assert.deepEqual(trace[0].listeners.map(function(l) { return [l.event, l.type, l.name, l.emitter === ee]; }), [['foo', 'foo', 'first', true]]);
+            assert.isAtLeast(trace[0].duration, 0);
+            assert.isFalse(trace[0].regex);
+            assert.strictEqual(trace[1].event, 'bar');
+            assert.lengthOf(trace[1].listeners, 0);
+
+            ee.clearTrace();
+            assert.deepEqual(ee.getTrace(), []);
+        });
+
+        test('records regex fan-out and errors', function() {
+            var error = new Error('fail');
+            ee.setTraceBufferSize(5);
+            ee.defineEvents(['bar', 'foo']);
+            ee.addListener('bar', first);
+            ee.addListener('foo', function broken() { throw error; });
+
+            assert.throws(function () {
+                ee.emitEvent(/ba|fo/);
+            }, Error, 'fail');
+
+            var trace = ee.getTrace()[0];
+            assert.isTrue(trace.regex);
+            assert.strictEqual(trace.error, error);
+            assert.deepEqual(trace.listeners.map(function(l) { return [l.name, l.error]; }), [['first', null], ['broken', error]]);
+        });
+
+        test('hands records to tracers', function() {
+            var check = [];
+            var tracer = {
+                start: function(record) { check.push('start:' + record.event + ':' + record.duration); },
+                end: function(record) { check.push('end:' + record.event + ':' + record.listeners.length); }
+            };
+            var onEnd = function(record) { check.push('fn:' + record.event); };
+
+            ee.addListener('foo', first);
+            ee.addTracer(tracer).addTracer(onEnd);
+            ee.emit('foo');
+            ee.removeTracer(tracer).removeTracer(onEnd);
+            ee.emit('foo');
+
+            assert.deepEqual(check, ['start:foo:null', 'end:foo:1', 'fn:foo']);
+            assert.deepEqual(ee.getTrace(), []);
+        });
+
+        test('traces asynchronous emits once they settle', function() {
+            var records = [];
+            ee.addTracer(function(record) { records.push(record); });
+            ee.addListener('foo', function() {
+                return delay(10);
+            });
+
+            var emitted = ee.emitAsync('foo');
+            assert.lengthOf(records, 0);
+            return emitted.then(function () {
+                assert.lengthOf(records, 1);
+                assert.isTrue(records[0].async);
+                assert.isAtLeast(records[0].listeners[0].duration, 5);
+            });
+        });
+    });
+
+    suite('NodeEventEmitter', function() {
+        var NodeEventEmitter = EventEmitter.NodeEventEmitter;
+        var ee;
+
+        setup(function () {
+            ee = new NodeEventEmitter();
+        });
+
+        test('allows duplicate listeners and removes the most recent one', function () {
+            var count = 0;
+            var fn = function() { count++; };
+
+            ee.on('foo', fn);
+            ee.on('foo', fn);
+            ee.emit('foo');
+            assert.strictEqual(count, 2);
+
+            ee.removeListener('foo', fn);
+            assert.strictEqual(ee.listenerCount('foo'), 1);
+        });
+
+        test('does not remove listeners returning true', function () {
+            var count = 0;
+
+            ee.on('foo', function() { count++; return true; });
+            ee.emit('foo');
+            ee.emit('foo');
+
+            assert.strictEqual(count, 2);
+        });
+
+        test('emit returns whether there were listeners', function () {
+            assert.isFalse(ee.emit('foo'));
+            ee.on('foo', function(){});
+            assert.isTrue(ee.emit('foo'));
+        });
+
+        test('throws unhandled errors', function () {
+            var error = new Error('fail');
+
+            assert.throws(function () { ee.emit('error', error); }, 'fail');
+            assert.throws(function () { ee.emit('error', 'bad'); }, 'Unhandled error. (bad)');
+        });
+
+        test('emits newListener and removeListener', function () {
+            var check = [];
+            var fn = function(){};
+
+            ee.on('newListener', function(evt, listener) { check.push(['new', evt, listener]); });
+            ee.on('removeListener', function(evt, listener) { check.push(['remove', evt, listener]); });
+            ee.once('foo', fn);
+            ee.emit('foo');
+
+            assert.deepEqual(check, [['new', 'removeListener', check[0][2]], ['new', 'foo', fn], ['remove', 'foo', fn]]);
+        });
+
+        test('removeAllListeners emits removeListener for every listener', function () {
+            var removed = [];
+
+            ee.on('foo', function(){});
+            ee.on('bar', function(){});
+            ee.on('removeListener', function(evt) { removed.push(evt); });
+            ee.removeAllListeners();
+
+            assert.deepEqual(removed, ['foo', 'bar']);
+            assert.deepEqual(ee.eventNames(), []);
+        });
+
+        test('rejects listeners that are not functions', function () {
+            assert.throws(function () { ee.on('foo', null); }, TypeError);
+            assert.throws(function () { ee.once('foo', {}); }, TypeError);
+        });
+
+        test('aliases on and off', function () {
+            assert.strictEqual(NodeEventEmitter.prototype.on, NodeEventEmitter.prototype.addListener);
+            assert.strictEqual(NodeEventEmitter.prototype.off, NodeEventEmitter.prototype.removeListener);
+        });
+
+        test('returns listeners and raw once wrappers', function () {
+            var count = 0;
+            var fn = function() { count++; };
+
+            ee.once('foo', fn);
+            assert.deepEqual(ee.listeners('foo'), [fn]);
+
+            var raw = ee.rawListeners('foo');
+            assert.strictEqual(raw[0].listener, fn);
+            raw[0]();
+            assert.strictEqual(count, 1);
+            assert.strictEqual(ee.listenerCount('foo'), 0);
+        });
+
+        test('waits for events with the static once', function () {
+            var promise = NodeEventEmitter.once(ee, 'foo');
+
+            ee.emit('foo', 1);
+
+            return promise.then(function (args) {
+                assert.deepEqual(args, [1]);
+            });
+        });
+    });
+
+    // Ported from node's own test/parallel/test-event-emitter-*.js
+    suite('NodeEventEmitter node behaviour', function() {
+        var NodeEventEmitter = EventEmitter.NodeEventEmitter;
+        var ee;
+
+        setup(function () {
+            ee = new NodeEventEmitter();
+        });
+
+        test('once: runs a listener a single time', function () {
+            var count = 0;
+            var remove = function() { assert.fail('once->foo should not be emitted'); };
+
+            ee.once('hello', function() { count++; });
+            ee.emit('hello', 'a', 'b');
+            ee.emit('hello', 'a', 'b');
+            ee.emit('hello', 'a', 'b');
+            ee.emit('hello', 'a', 'b');
+            assert.strictEqual(count, 1);
+
+            ee.once('foo', remove);
+            ee.removeListener('foo', remove);
+            ee.emit('foo');
+        });
+
+        test('once: a listener emitting its own event does not run the others twice', function () {
+            var times = 0;
+
+            ee.once('e', function() {
+                ee.emit('e');
+                times++;
+            });
+            ee.once('e', function() { times++; });
+            ee.emit('e');
+
+            assert.strictEqual(times, 2);
+        });
+
+        test('once: passes any number of arguments', function () {
+            var received = [];
+            var args = [];
+
+            for (var i = 0; i <= 5; i++) {
+                ee.once('foo', function() { received.push(Array.from(arguments)); });
+                ee.emit.apply(ee, ['foo'].concat(args));
+                args = args.concat([i + 1]);
+            }
+            assert.deepEqual(received, [[], [1], [1, 2], [1, 2, 3], [1, 2, 3, 4], [1, 2, 3, 4, 5]]);
+        });
+
+        test('once: removing the once registration keeps a persistent one of the same function', function () {
+            var count = 0;
+            var counts = [];
+            var fn = function() { count++; };
+
+            ee.once('x', fn);
+            ee.on('x', fn);
+            for (var i = 0; i < 3; i++) {
+                count = 0;
+                ee.emit('x');
+                counts.push(count);
+            }
+            assert.deepEqual(counts, [2, 1, 1]);
+
+            ee.removeAllListeners('x');
+            ee.on('x', fn);
+            ee.once('x', fn);
+            counts = [];
+            for (i = 0; i < 3; i++) {
+                count = 0;
+                ee.emit('x');
+                counts.push(count);
+            }
+            assert.deepEqual(counts, [2, 1, 1]);
+        });
+
+        test('remove-listeners: emits removeListener once the listener is gone', function () {
+            var listener1 = function() {};
+            var listener2 = function() {};
+            var calls = 0;
+
+            ee.on('hello', listener1);
+            ee.on('hello', listener2);
+            ee.once('removeListener', function(name, cb) {
+                calls++;
+                assert.strictEqual(name, 'hello');
+                assert.strictEqual(cb, listener1);
+                assert.deepEqual(ee.listeners('hello'), [listener2]);
+            });
+            assert.strictEqual(ee.removeListener('hello', listener1), ee);
+            assert.strictEqual(calls, 1);
+
+            ee.on('removeListener', function() { assert.fail('nothing was removed'); });
+            ee.removeListener('hello', listener1);
+        });
+
+        test('remove-listeners: removes the most recently added occurrence', function () {
+            var a = function() {};
+            var b = function() {};
+
+            ee.on('foo', a);
+            ee.on('foo', b);
+            ee.on('foo', a);
+            ee.removeListener('foo', a);
+
+            assert.deepEqual(ee.listeners('foo'), [a, b]);
+        });
+
+        test('remove-listeners: a listener removed during an emit still runs for that emit', function () {
+            var calls3 = 0;
+            var calls4 = 0;
+            var listener4 = function() { calls4++; };
+
+            ee.on('hello', function() {
+                calls3++;
+                ee.removeListener('hello', listener4);
+            });
+            ee.on('hello', listener4);
+            ee.emit('hello');
+            ee.emit('hello');
+
+            assert.strictEqual(calls3, 2);
+            assert.strictEqual(calls4, 1);
+        });
+
+        test('remove-all-listeners: removes listeners of one event and leaves copies alone', function () {
+            var noop = function() {};
+
+            ee.on('foo', noop);
+            ee.on('bar', noop);
+            ee.on('baz', noop);
+            ee.on('baz', noop);
+            var barListeners = ee.listeners('bar');
+            var bazListeners = ee.listeners('baz');
+
+            assert.strictEqual(ee.removeAllListeners('bar'), ee);
+            ee.removeAllListeners('baz');
+            ee.removeAllListeners('missing');
+
+            assert.deepEqual(ee.listeners('foo'), [noop]);
+            assert.deepEqual(ee.listeners('bar'), []);
+            assert.deepEqual(ee.listeners('baz'), []);
+            assert.deepEqual(barListeners, [noop]);
+            assert.deepEqual(bazListeners, [noop, noop]);
+            assert.notStrictEqual(ee.listeners('bar'), barListeners);
+        });
+
+        test('remove-all-listeners: removes the removeListener listeners last', function () {
+            var noop = function() {};
+            var removed = [];
+
+            ee.on('foo', noop);
+            ee.on('bar', noop);
+            ee.on('removeListener', function(name) { removed.push(name); });
+            ee.on('removeListener', noop);
+            ee.removeAllListeners();
+
+            assert.deepEqual(removed, ['foo', 'bar', 'removeListener']);
+            assert.deepEqual(ee.eventNames(), []);
+        });
+
+        test('add-listeners: emits newListener before adding the listener', function () {
+            var events = [];
+            var listeners = [];
+            var received;
+            var hello = function(a, b) { received = [a, b]; };
+            var fail = function() { assert.fail('foo should not be emitted'); };
+
+            ee.on('newListener', function(event, listener) {
+                if (event === 'newListener') {
+                    return;
+                }
+                events.push(event);
+                listeners.push(listener);
+            });
+            ee.once('newListener', function(name, listener) {
+                assert.strictEqual(name, 'hello');
+                assert.strictEqual(listener, hello);
+                assert.deepEqual(this.listeners('hello'), []);
+            });
+            ee.on('hello', hello);
+            ee.once('foo', fail);
+            ee.emit('hello', 'a', 'b');
+
+            assert.deepEqual(events, ['hello', 'foo']);
+            assert.deepEqual(listeners, [hello, fail]);
+            assert.deepEqual(received, ['a', 'b']);
+        });
+
+        test('add-listeners: listeners added from newListener go first', function () {
+            var listen1 = function() {};
+            var listen2 = function() {};
+
+            ee.once('newListener', function() {
+                assert.deepEqual(ee.listeners('hello'), []);
+                ee.once('newListener', function() {
+                    assert.deepEqual(ee.listeners('hello'), []);
+                });
+                ee.on('hello', listen2);
+            });
+            ee.on('hello', listen1);
+
+            assert.deepEqual(ee.listeners('hello'), [listen2, listen1]);
+        });
+
+        test('prepend: prepended listeners run first', function () {
+            var m = 0;
+            var order = [];
+
+            ee.on('foo', function() { order.push(m); });
+            ee.prependListener('foo', function() { order.push(m++); });
+            ee.prependOnceListener('foo', function() { order.push(m++); });
+            ee.emit('foo');
+
+            assert.deepEqual(order, [0, 1, 2]);
+        });
+
+        test('listener-count: counts listeners of any event name', function () {
+            var noop = function() {};
+
+            ee.on('foo', noop);
+            ee.on('foo', noop);
+            ee.on('baz', noop);
+            ee.on(123, noop);
+
+            assert.strictEqual(NodeEventEmitter.listenerCount(ee, 'foo'), 2);
+            assert.strictEqual(ee.listenerCount('foo'), 2);
+            assert.strictEqual(ee.listenerCount('bar'), 0);
+            assert.strictEqual(ee.listenerCount('baz'), 1);
+            assert.strictEqual(ee.listenerCount(123), 1);
+        });
+
+        test('num-args: passes exactly the emitted arguments', function () {
+            var numArgs = [];
+
+            ee.on('numArgs', function() { numArgs.push(arguments.length); });
+            ee.emit('numArgs');
+            ee.emit('numArgs', null);
+            ee.emit('numArgs', null, null);
+            ee.emit('numArgs', null, null, null);
+            ee.emit('numArgs', null, null, null, null);
+            ee.emit('numArgs', null, null, null, null, null);
+
+            assert.deepEqual(numArgs, [0, 1, 2, 3, 4, 5]);
+        });
+
+        test('special-event-names: handles names of Object.prototype members', function () {
+            var handler = function() {};
+            var received;
+
+            assert.deepEqual(ee.eventNames(), []);
+            ee.on('__proto__', handler);
+            ee.on('__defineGetter__', handler);
+            ee.on('toString', handler);
+
+            assert.deepEqual(ee.eventNames(), ['__proto__', '__defineGetter__', 'toString']);
+            assert.deepEqual(ee.listeners('__proto__'), [handler]);
+            assert.deepEqual(ee.listeners('__defineGetter__'), [handler]);
+            assert.deepEqual(ee.listeners('toString'), [handler]);
+
+            ee.on('__proto__', function(value) { received = value; });
+            ee.emit('__proto__', 1);
+            assert.strictEqual(received, 1);
+        });
+
+        test('symbols: uses symbols as event names', function () {
+            var foo = Symbol('foo');
+            var calls = 0;
+            var listener = function() { calls++; };
+
+            ee.on(foo, listener);
+            assert.deepEqual(ee.listeners(foo), [listener]);
+            ee.emit(foo);
+            assert.strictEqual(calls, 1);
+
+            ee.removeAllListeners();
+            assert.deepEqual(ee.listeners(foo), []);
+            ee.on(foo, listener);
+            ee.removeListener(foo, listener);
+            assert.deepEqual(ee.listeners(foo), []);
+        });
+
+        test('listeners: returns copies and unwraps once listeners', function () {
+            var calls = 0;
+            var listener = function() { calls++; };
+
+            ee.on('foo', listener);
+            var fooListeners = ee.listeners('foo');
+            ee.removeAllListeners('foo');
+            assert.deepEqual(ee.listeners('foo'), []);
+            assert.deepEqual(fooListeners, [listener]);
+
+            ee.once('foo', listener);
+            var wrapped = ee.rawListeners('foo');
+            assert.lengthOf(wrapped, 1);
+            assert.notStrictEqual(wrapped[0], listener);
+            assert.strictEqual(wrapped[0].listener, listener);
+            wrapped[0]();
+            ee.emit('foo');
+            assert.strictEqual(calls, 1);
+            assert.deepEqual(ee.rawListeners('foo'), []);
+        });
+
+        test('get-max-listeners: defaults to 10 and reads back what was set', function () {
+            assert.strictEqual(ee.getMaxListeners(), 10);
+            ee.setMaxListeners(0);
+            assert.strictEqual(ee.getMaxListeners(), 0);
+            ee.setMaxListeners(3);
+            assert.strictEqual(ee.getMaxListeners(), 3);
+        });
+
+        test('max-listeners: validates the maximum', function () {
+            [NaN, -1].forEach(function (n) {
+                assert.throws(function () { ee.setMaxListeners(n); }, RangeError);
+                try {
+                    ee.setMaxListeners(n);
+                } catch (error) {
+                    assert.strictEqual(error.code, 'ERR_OUT_OF_RANGE');
+                }
+            });
+            try {
+                ee.setMaxListeners('and even this');
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.instanceOf(error, TypeError);
+                assert.strictEqual(error.code, 'ERR_INVALID_ARG_TYPE');
+            }
+        });
+
+        test('errors: throws emitted errors nobody listens to', function () {
+            var error = new Error('foo');
+
+            assert.throws(function () { ee.emit('error', error); }, error);
+            try {
+                ee.emit('error', 'bar');
+                assert.fail('should have thrown');
+            } catch (err) {
+                assert.strictEqual(err.code, 'ERR_UNHANDLED_ERROR');
+                assert.strictEqual(err.context, 'bar');
+            }
+        });
+    });
+
+    suite('EventBridge', function() {
+        var EventBridge = EventEmitter.EventBridge;
+        var channels;
+        var bridges;
+
+        setup(function () {
+            channels = [];
+            bridges = [];
+        });
+
+        teardown(function () {
+            bridges.forEach(function (bridge) { bridge.close(); });
+            channels.forEach(function (channel) { channel.port1.close(); });
+        });
+
+        function connect(a, b, options) {
+            var channel = new MessageChannel();
+            channels.push(channel);
+            bridges.push(new EventBridge(a, channel.port1, options), new EventBridge(b, channel.port2, options));
+            return bridges.slice(-2);
+        }
+
+        function settle() {
+            return delay(20);
+        }
+
+        test('forwards selected events without echoing them back', function () {
+            var a = new EventEmitter();
+            var b = new EventEmitter();
+            var check = [];
+
+            connect(a, b, { events: ['ping', 'pong'] });
+            a.on('ping', function(x) { check.push('a:ping:' + x); });
+            b.on('ping', function(x) {
+                check.push('b:ping:' + x);
+                b.emit('pong', x + 1);
+            });
+            a.on('pong', function(x) { check.push('a:pong:' + x); });
+            b.on('other', function() { check.push('b:other'); });
+            a.emit('ping', 1);
+            a.emit('other');
+
+            return settle().then(function () {
+                assert.deepEqual(check, ['a:ping:1', 'b:ping:1', 'a:pong:2']);
+            });
+        });
+
+        test('copies payloads so they can be cloned', function () {
+            var a = new EventEmitter();
+            var b = new EventEmitter();
+            var received;
+
+            connect(a, b, { events: ['foo'] });
+            b.on('foo', function(payload, fn) { received = [payload, fn]; });
+            a.emit('foo', { name: 'x', callback: function(){}, error: new Error('fail') }, function(){});
+
+            return settle().then(function () {
+                assert.strictEqual(received[0].name, 'x');
+                assert.notProperty(received[0], 'callback');
+                assert.strictEqual(received[0].error.message, 'fail');
+                assert.isUndefined(received[1]);
+            });
+        });
+
+        test('does not loop between several bridges', function () {
+            var emitters = [new EventEmitter(), new EventEmitter(), new EventEmitter()];
+            var counts = [0, 0, 0];
+
+            connect(emitters[0], emitters[1], { events: ['foo'] });
+            connect(emitters[1], emitters[2], { events: ['foo'] });
+            connect(emitters[2], emitters[0], { events: ['foo'] });
+            emitters.forEach(function (emitter, index) {
+                emitter.on('foo', function() { counts[index]++; });
+            });
+            emitters[0].emit('foo');
+
+            return settle().then(function () {
+                assert.deepEqual(counts, [1, 1, 1]);
+            });
+        });
+
+        test('only emits accepted events', function () {
+            var a = new EventEmitter();
+            var b = new EventEmitter();
+            var channel = new MessageChannel();
+            var check = [];
+
+            channels.push(channel);
+            bridges.push(
+                new EventBridge(a, channel.port1, { events: ['foo', 'bar'] }),
+                new EventBridge(b, channel.port2, { accept: /^f/ })
+            );
+            b.on('foo', function() { check.push('foo'); });
+            b.on('bar', function() { check.push('bar'); });
+            a.emit('foo');
+            a.emit('bar');
+
+            return settle().then(function () {
+                assert.deepEqual(check, ['foo']);
+            });
+        });
+
+        test('answers requests with the first result', function () {
+            var a = new EventEmitter();
+            var b = new EventEmitter();
+            var pair = connect(a, b);
+
+            b.on('ask', function() {});
+            b.on('ask', function(q) { return Promise.resolve('answer:' + q); });
+            b.handle('sum', function(x, y) { return x + y; });
+
+            return pair[0].request('ask', ['q']).then(function (response) {
+                assert.strictEqual(response, 'answer:q');
+                return pair[0].request('sum', [40, 2]);
+            }).then(function (response) {
+                assert.strictEqual(response, 42);
+            });
+        });
+
+        test('rejects requests when the other side fails', function () {
+            var a = new EventEmitter();
+            var b = new EventEmitter();
+            var pair = connect(a, b);
+
+            b.on('ask', function() { throw new Error('nope'); });
+
+            return pair[0].request('ask').then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.strictEqual(err.message, 'nope');
+            });
+        });
+
+        test('close removes its listeners and rejects pending requests', function () {
+            var a = new EventEmitter();
+            var b = new EventEmitter();
+            var pair = connect(a, b, { events: ['foo'] });
+            var pending = pair[0].request('never');
+
+            pair[0].close();
+            assert.strictEqual(a.listenerCount('foo'), 0);
+
+            return pending.then(function () {
+                assert.fail('should have rejected');
+            }, function (err) {
+                assert.match(err.message, /closed/);
+            });
+        });
+    });
+
     suite('alias', function () {
         test('that it works when overwriting target method', function () {
             var addListener = EventEmitter.prototype.addListener;